@@ -0,0 +1,212 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/balancer.js: strategies for choosing a connection for each request.
+ *
+ * The pool (see lib/pool.js) determines which connections may be used for a
+ * new request, and then asks a balancer to choose one of them.  A balancer is
+ * any object with a method pick(conns), which is given a non-empty array of
+ * connections and must return one of them.  Each connection provides:
+ *
+ *     key()            cueball's identifier for the connection
+ *
+ *     backend()        the server's IP address and port, as "ip:port"
+ *
+ *     outstanding()    number of requests currently using the connection
+ *
+ *     latency()        exponentially-weighted moving average of the latency
+ *                      (in milliseconds) of requests completed on the
+ *                      connection, or null if none has completed yet
+ *
+ * Balancers must not modify or hold onto the connections.  The built-in
+ * balancers, selected by name with createBalancer(), are:
+ *
+ *     random           picks a connection uniformly at random.  Since Moray
+ *                      servers and requests are fairly uniform, this is
+ *                      reasonable for most consumers, and it's the default.
+ *
+ *     leastRequests    picks the connection with the fewest outstanding
+ *                      requests (breaking ties randomly)
+ *
+ *     roundRobin       picks each connection in turn
+ *
+ *     powerOfTwo       picks two connections at random, and uses the one with
+ *                      fewer outstanding requests.  This approximates
+ *                      leastRequests without sending every request to a
+ *                      connection that has just become idle.
+ *
+ *     latencyWeighted  picks a connection at random, with each connection's
+ *                      probability inversely proportional to its average
+ *                      latency (multiplied by one more than its number of
+ *                      outstanding requests).  This routes most requests away
+ *                      from slow servers while still sending them enough
+ *                      requests to notice when they recover.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+
+
+///--- Globals
+
+var BALANCER_NAMES = [
+    'random',
+    'leastRequests',
+    'roundRobin',
+    'powerOfTwo',
+    'latencyWeighted'
+];
+
+
+///--- Helpers
+
+/*
+ * Returns the connection with the fewest outstanding requests, breaking ties
+ * randomly.
+ */
+function leastOutstanding(conns) {
+    var best, min;
+
+    min = Infinity;
+    best = [];
+    conns.forEach(function (c) {
+        var n = c.outstanding();
+        if (n < min) {
+            min = n;
+            best = [ c ];
+        } else if (n == min) {
+            best.push(c);
+        }
+    });
+
+    return (jsprim.randElt(best));
+}
+
+
+///--- API
+
+function RandomBalancer() {
+}
+
+RandomBalancer.prototype.pick = function pick(conns) {
+    return (jsprim.randElt(conns));
+};
+
+function LeastRequestsBalancer() {
+}
+
+LeastRequestsBalancer.prototype.pick = function pick(conns) {
+    return (leastOutstanding(conns));
+};
+
+function RoundRobinBalancer() {
+    this.mrr_next = 0;      /* index of the next connection to use */
+}
+
+RoundRobinBalancer.prototype.pick = function pick(conns) {
+    /*
+     * The set of connections changes over time, so this isn't strictly fair
+     * across changes, but it is while the set stays the same.
+     */
+    this.mrr_next = (this.mrr_next + 1) % conns.length;
+    return (conns[this.mrr_next]);
+};
+
+function PowerOfTwoBalancer() {
+}
+
+PowerOfTwoBalancer.prototype.pick = function pick(conns) {
+    var i, j;
+
+    if (conns.length == 1) {
+        return (conns[0]);
+    }
+
+    i = Math.floor(Math.random() * conns.length);
+    j = Math.floor(Math.random() * (conns.length - 1));
+    if (j >= i) {
+        j++;
+    }
+
+    return (leastOutstanding([ conns[i], conns[j] ]));
+};
+
+function LatencyWeightedBalancer() {
+}
+
+LatencyWeightedBalancer.prototype.pick = function pick(conns) {
+    var latencies, known, typical, weights, total, r, i;
+
+    /*
+     * Connections that haven't completed a request yet are assumed to be as
+     * fast as the fastest connection so that they get a chance to prove
+     * otherwise.  Latencies are floored at 1ms to avoid dividing by zero (and
+     * so that sub-millisecond differences don't matter).
+     */
+    latencies = conns.map(function (c) { return (c.latency()); });
+    known = latencies.filter(function (l) { return (l !== null); });
+    typical = known.length > 0 ? Math.min.apply(null, known) : 1;
+
+    total = 0;
+    weights = conns.map(function (c, idx) {
+        var l = Math.max(1, latencies[idx] === null ? typical : latencies[idx]);
+        var w = 1 / (l * (c.outstanding() + 1));
+        total += w;
+        return (w);
+    });
+
+    r = Math.random() * total;
+    for (i = 0; i < conns.length - 1; i++) {
+        r -= weights[i];
+        if (r < 0) {
+            break;
+        }
+    }
+
+    return (conns[i]);
+};
+
+/*
+ * Returns a balancer for "spec", which is either the name of a built-in
+ * balancer (see above) or an object implementing pick() itself.
+ */
+function createBalancer(spec) {
+    if (typeof (spec) == 'object' && spec !== null) {
+        assert.func(spec.pick, 'balancer.pick');
+        return (spec);
+    }
+
+    assert.string(spec, 'balancer');
+    assert.ok(BALANCER_NAMES.indexOf(spec) != -1,
+        'balancer must be one of: ' + BALANCER_NAMES.join(', '));
+
+    switch (spec) {
+    case 'random':
+        return (new RandomBalancer());
+    case 'leastRequests':
+        return (new LeastRequestsBalancer());
+    case 'roundRobin':
+        return (new RoundRobinBalancer());
+    case 'powerOfTwo':
+        return (new PowerOfTwoBalancer());
+    default:
+        assert.equal(spec, 'latencyWeighted');
+        return (new LatencyWeightedBalancer());
+    }
+}
+
+
+///--- Exports
+
+module.exports = {
+    BALANCER_NAMES: BALANCER_NAMES,
+    createBalancer: createBalancer
+};
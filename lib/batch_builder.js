@@ -0,0 +1,353 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/batch_builder.js: incremental construction and execution of batch
+ * requests.
+ *
+ * A batch builder accumulates operations ("put", "delete", "update", and
+ * "deleteMany"), validating each one as it's added rather than when the
+ * request is sent, and then executes them using one or more batch() requests.
+ * By default, all of the operations are executed in a single transaction, and
+ * the batch fails without sending anything if there are more than
+ * "maxOperations" of them.  If the caller opts out of atomicity, operations
+ * are instead split into transactions of at most "maxOperations" operations,
+ * which are executed one at a time, in order.  A failed transaction does not
+ * prevent later transactions from being executed.
+ *
+ * The result of executing the batch reports, for each operation in the order
+ * it was added, the etag of the written object (for successful "put"
+ * operations) or the error that caused the operation's transaction to fail.
+ * Since a transaction either succeeds or fails as a whole, every operation in
+ * a failed transaction reports the same error.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+var mod_filter = require('./filter');
+
+
+///--- Globals
+
+var dflBatchMaxOperations = 100;
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     client           MorayClient used for batch() requests
+ *     (object)
+ *
+ *     atomic           if true (the default), execute all operations in a
+ *     (boolean)        single transaction
+ *
+ *     maxOperations    maximum number of operations per transaction
+ *     (number)         (default: 100)
+ *
+ *     options          options for each batch() request (e.g., "timeout" or
+ *     (object)         "req_id")
+ */
+function MorayBatchBuilder(args) {
+    assert.object(args, 'args');
+    assert.object(args.client, 'args.client');
+    assert.optionalBool(args.atomic, 'args.atomic');
+    assert.optionalNumber(args.maxOperations, 'args.maxOperations');
+    assert.optionalObject(args.options, 'args.options');
+
+    this.mbb_client = args.client;
+    this.mbb_atomic = args.atomic !== false;
+    this.mbb_maxops = args.maxOperations !== undefined ?
+        args.maxOperations : dflBatchMaxOperations;
+    this.mbb_options = args.options || {};
+    assert.ok(this.mbb_maxops > 0 &&
+        Math.floor(this.mbb_maxops) === this.mbb_maxops,
+        'maxOperations must be a positive integer');
+
+    this.mbb_requests = [];     /* queued operations, as batch() requests */
+    this.mbb_executed = false;  /* exec() has been called */
+}
+
+/*
+ * Queue a "put" of "value" as object "key" in "bucket".  "options" may include
+ * "etag" and "headers", as for putObject().
+ */
+MorayBatchBuilder.prototype.put = function put(bucket, key, value, options) {
+    assert.string(bucket, 'bucket');
+    assert.string(key, 'key');
+    assert.object(value, 'value');
+    assert.optionalObject(options, 'options');
+    if (options) {
+        assert.optionalObject(options.headers, 'options.headers');
+    }
+
+    return (this.queue({
+        'bucket': bucket,
+        'operation': 'put',
+        'key': key,
+        'value': value,
+        'options': options
+    }));
+};
+
+/*
+ * Queue a "delete" of object "key" in "bucket".  "options" may include "etag",
+ * as for deleteObject().
+ */
+MorayBatchBuilder.prototype.delete = function _delete(bucket, key, options) {
+    assert.string(bucket, 'bucket');
+    assert.string(key, 'key');
+    assert.optionalObject(options, 'options');
+
+    return (this.queue({
+        'bucket': bucket,
+        'operation': 'delete',
+        'key': key,
+        'options': options
+    }));
+};
+
+/*
+ * Queue an "update" of the indexed "fields" of objects in "bucket" matching
+ * "filter", as for updateObjects().
+ */
+MorayBatchBuilder.prototype.update = function update(bucket, fields, filter,
+    options) {
+    assert.string(bucket, 'bucket');
+    assert.object(fields, 'fields');
+    assert.string(filter, 'filter');
+    assert.optionalObject(options, 'options');
+    this.checkFilter(filter);
+
+    return (this.queue({
+        'bucket': bucket,
+        'operation': 'update',
+        'fields': fields,
+        'filter': filter,
+        'options': options
+    }));
+};
+
+/*
+ * Queue a "deleteMany" of objects in "bucket" matching "filter", as for
+ * deleteMany().
+ */
+MorayBatchBuilder.prototype.deleteMany = function deleteMany(bucket, filter,
+    options) {
+    assert.string(bucket, 'bucket');
+    assert.string(filter, 'filter');
+    assert.optionalObject(options, 'options');
+    this.checkFilter(filter);
+
+    return (this.queue({
+        'bucket': bucket,
+        'operation': 'deleteMany',
+        'filter': filter,
+        'options': options
+    }));
+};
+
+/*
+ * Returns the number of queued operations.
+ */
+MorayBatchBuilder.prototype.length = function length() {
+    return (this.mbb_requests.length);
+};
+
+/*
+ * Execute the queued operations.  "callback" is invoked as callback(err,
+ * results), where "results" is always an array with one object per operation
+ * (in the order in which operations were queued) with properties:
+ *
+ *     operation        "put", "delete", "update", or "deleteMany"
+ *
+ *     bucket           bucket name
+ *
+ *     key              object key ("put" and "delete" only)
+ *
+ *     filter           filter ("update" and "deleteMany" only)
+ *
+ *     transaction      index of the batch() request that included the
+ *                      operation, or null if it was never sent
+ *
+ *     etag             etag of the written object for successful "put"
+ *                      operations, or null otherwise
+ *
+ *     error            error that caused the operation's transaction to fail,
+ *                      or null if it succeeded
+ *
+ * "err" is null if every operation succeeded.  Otherwise, it's the error that
+ * failed the batch (if atomic), or an error describing the failed transactions.
+ */
+MorayBatchBuilder.prototype.exec = function exec(callback) {
+    var self = this;
+    var chunks, results, errors, err;
+
+    assert.func(callback, 'callback');
+    assert.ok(!this.mbb_executed, 'batch has already been executed');
+    this.mbb_executed = true;
+
+    results = this.mbb_requests.map(function (r) {
+        var result = {
+            'operation': r.operation,
+            'bucket': r.bucket,
+            'transaction': null,
+            'etag': null,
+            'error': null
+        };
+
+        if (r.key !== undefined) {
+            result.key = r.key;
+        } else {
+            result.filter = r.filter;
+        }
+
+        return (result);
+    });
+
+    if (this.mbb_atomic && this.mbb_requests.length > this.mbb_maxops) {
+        err = new VError({
+            'name': 'BatchTooLargeError',
+            'info': {
+                'operations': this.mbb_requests.length,
+                'maxOperations': this.mbb_maxops
+            }
+        }, 'atomic batch has %d operations (max %d)',
+            this.mbb_requests.length, this.mbb_maxops);
+        results.forEach(function (result) {
+            result.error = err;
+        });
+        setImmediate(callback, err, results);
+        return;
+    }
+
+    chunks = [];
+    errors = [];
+    this.mbb_requests.forEach(function (r, i) {
+        if (chunks.length === 0 ||
+            chunks[chunks.length - 1].length == self.mbb_maxops) {
+            chunks.push([]);
+        }
+
+        chunks[chunks.length - 1].push(i);
+    });
+
+    setImmediate(runChunk, 0);
+
+    function runChunk(which) {
+        var requests;
+
+        if (which == chunks.length) {
+            callback(errors.length === 0 ? null :
+                (self.mbb_atomic ? errors[0] : VError.errorFromList(errors)),
+                results);
+            return;
+        }
+
+        requests = chunks[which].map(function (i) {
+            /* batch() modifies the requests it's given, so pass copies. */
+            return (jsprim.mergeObjects(self.mbb_requests[i]));
+        });
+
+        self.mbb_client.batch(requests, self.mbb_options,
+            function (txnErr, data) {
+            var failure = null;
+            var etags = [];
+
+            if (txnErr) {
+                failure = self.mbb_atomic ? txnErr : new VError({
+                    'cause': txnErr,
+                    'info': {
+                        'transaction': which,
+                        'operations': requests.length
+                    }
+                }, 'batch transaction %d', which);
+                errors.push(failure);
+            } else if (data && Array.isArray(data.etags)) {
+                etags = data.etags.slice(0);
+            }
+
+            chunks[which].forEach(function (i) {
+                var result = results[i];
+
+                result.transaction = which;
+                if (failure !== null) {
+                    result.error = failure;
+                } else if (result.operation == 'put') {
+                    result.etag = takeEtag(etags, result);
+                }
+            });
+
+            runChunk(which + 1);
+        });
+    }
+};
+
+/*
+ * [private] If the client was configured to validate filters (see the
+ * "validateFilters" client option), throw an InvalidFilterError if "filter" is
+ * not a valid filter string.
+ */
+MorayBatchBuilder.prototype.checkFilter = function checkFilter(filter) {
+    var err;
+
+    if (!this.mbb_client.validateFilters) {
+        return;
+    }
+
+    err = mod_filter.validateFilter(filter);
+    if (err !== null) {
+        throw (err);
+    }
+};
+
+/*
+ * [private] Add the batch() request "r" to the queue.
+ */
+MorayBatchBuilder.prototype.queue = function queue(r) {
+    assert.ok(!this.mbb_executed, 'batch has already been executed');
+
+    if (r.options === undefined) {
+        delete (r.options);
+    }
+
+    this.mbb_requests.push(r);
+    return (this);
+};
+
+
+///--- Helpers
+
+/*
+ * Removes and returns the etag for the "put" operation described by "result"
+ * from "etags", the list of {bucket, key, etag} objects reported by batch(), or
+ * returns null if there's no such etag.  If the same object was written more
+ * than once, the etags appear in the order of the writes.
+ */
+function takeEtag(etags, result) {
+    var i;
+
+    for (i = 0; i < etags.length; i++) {
+        if (etags[i].bucket == result.bucket && etags[i].key == result.key) {
+            return (etags.splice(i, 1)[0].etag);
+        }
+    }
+
+    return (null);
+}
+
+///--- Exports
+
+module.exports = {
+    MorayBatchBuilder: MorayBatchBuilder
+};
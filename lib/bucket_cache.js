@@ -0,0 +1,253 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/bucket_cache.js: client-side cache of bucket configurations, used to
+ * check filters against a bucket's indexes before sending a request.
+ *
+ * The "requireIndexes" option for findObjects() only produces an error after
+ * the server has processed the request, and only with servers that support it.
+ * With the "indexCheck" constructor option, the client instead checks each
+ * filter for findObjects(), updateObjects(), and deleteMany() against the
+ * bucket's configuration before the request is sent, and either logs a warning
+ * or fails the request if the filter references fields that are not indexed,
+ * fields whose indexes are still being built ("reindex_active"), or values
+ * that don't match the type of the field's index.
+ *
+ * The cache is populated only from the results of getBucket() and
+ * listBuckets(), and entries are invalidated when the client itself modifies
+ * a bucket and after a configurable TTL.  If a bucket's configuration is not
+ * cached, filters for that bucket are not checked.  This way, enabling the
+ * check never causes the client to make additional requests.
+ */
+
+var net = require('net');
+
+var assert = require('assert-plus');
+
+var mod_filter = require('./filter');
+
+
+///--- Globals
+
+var dflBucketCacheTtl = 300000;     /* milliseconds */
+
+/*
+ * Internal fields that may always be used in filters.
+ */
+var internalFields = [ '_id', '_key', '_etag', '_mtime' ];
+
+
+///--- API
+
+/*
+ * Named arguments (all optional):
+ *
+ *     ttl          how long (in milliseconds) a bucket's configuration may be
+ *     (number)     used after it was fetched
+ */
+function MorayBucketCache(args) {
+    assert.object(args, 'args');
+    assert.optionalNumber(args.ttl, 'args.ttl');
+
+    this.mbc_ttl = args.ttl !== undefined ? args.ttl : dflBucketCacheTtl;
+    assert.ok(this.mbc_ttl > 0, 'bucketCache.ttl must be positive');
+
+    /* cached configurations, by bucket name */
+    this.mbc_entries = {};
+}
+
+/*
+ * Store the parsed configuration of a bucket (as returned by getBucket()).
+ */
+MorayBucketCache.prototype.put = function put(bucket) {
+    assert.object(bucket, 'bucket');
+    assert.string(bucket.name, 'bucket.name');
+
+    this.mbc_entries[bucket.name] = {
+        'bucket': bucket,
+        'expires': Date.now() + this.mbc_ttl
+    };
+};
+
+/*
+ * Returns the cached configuration of the named bucket, or null if there is no
+ * current configuration in the cache.
+ */
+MorayBucketCache.prototype.get = function get(name) {
+    var entry;
+
+    assert.string(name, 'name');
+
+    if (!this.mbc_entries.hasOwnProperty(name)) {
+        return (null);
+    }
+
+    entry = this.mbc_entries[name];
+    if (entry.expires <= Date.now()) {
+        delete (this.mbc_entries[name]);
+        return (null);
+    }
+
+    return (entry.bucket);
+};
+
+MorayBucketCache.prototype.remove = function remove(name) {
+    assert.string(name, 'name');
+    delete (this.mbc_entries[name]);
+};
+
+MorayBucketCache.prototype.clear = function clear() {
+    this.mbc_entries = {};
+};
+
+/*
+ * Checks the filter string "filter" against the indexes in the parsed bucket
+ * configuration "bucket".  Returns null if the indexes support the filter, or
+ * an object describing the problems otherwise:
+ *
+ *     unindexedFields      fields in the filter that have no index
+ *
+ *     reindexingFields     fields in the filter whose index is still being
+ *                          built
+ *
+ *     mismatchedValues     array of objects with properties "field", "type"
+ *                          (of the index), "operator" (the filter type, as
+ *                          described in lib/filter.js), and "value" (null for
+ *                          substring matches) describing comparisons that
+ *                          can't be applied to the type of the index
+ *
+ * If the filter cannot be parsed, no problems are reported (and the server is
+ * left to reject the filter if it's invalid).
+ */
+function checkFilterIndexes(bucket, filter) {
+    var parsed, index, reindexing, rv;
+
+    assert.object(bucket, 'bucket');
+    assert.object(bucket.index, 'bucket.index');
+    assert.string(filter, 'filter');
+
+    if (mod_filter.validateFilter(filter) !== null) {
+        return (null);
+    }
+
+    parsed = mod_filter.parseFilter(filter);
+    index = bucket.index;
+    reindexing = [];
+    if (bucket.reindex_active) {
+        Object.keys(bucket.reindex_active).forEach(function (version) {
+            reindexing = reindexing.concat(bucket.reindex_active[version]);
+        });
+    }
+
+    rv = {
+        'unindexedFields': [],
+        'reindexingFields': [],
+        'mismatchedValues': []
+    };
+
+    mod_filter.filterAttributes(parsed).forEach(function (field) {
+        if (internalFields.indexOf(field) != -1) {
+            return;
+        }
+
+        if (!index.hasOwnProperty(field)) {
+            rv.unindexedFields.push(field);
+        } else if (reindexing.indexOf(field) != -1) {
+            rv.reindexingFields.push(field);
+        }
+    });
+
+    (function visit(f) {
+        var type;
+
+        switch (f.type) {
+        case 'and':
+        case 'or':
+            f.filters.forEach(visit);
+            return;
+
+        case 'not':
+            visit(f.filter);
+            return;
+
+        case 'present':
+            return;
+
+        default:
+            break;
+        }
+
+        if (!index.hasOwnProperty(f.attribute)) {
+            return;
+        }
+
+        type = index[f.attribute].type;
+        if (!valueMatchesType(f, type)) {
+            rv.mismatchedValues.push({
+                'field': f.attribute,
+                'type': type,
+                'operator': f.type,
+                'value': f.value !== undefined ? f.value : null
+            });
+        }
+    })(parsed);
+
+    if (rv.unindexedFields.length === 0 &&
+        rv.reindexingFields.length === 0 &&
+        rv.mismatchedValues.length === 0) {
+        return (null);
+    }
+
+    return (rv);
+}
+
+
+///--- Helpers
+
+/*
+ * Returns true if the value in the comparison filter "f" can be interpreted
+ * as a value of the index type "type".
+ */
+function valueMatchesType(f, type) {
+    var scalar = type.replace(/^\[(.*)\]$/, '$1');
+    var parts;
+
+    if (f.type == 'substring' || f.type == 'ext') {
+        return (scalar == 'string');
+    }
+
+    switch (scalar) {
+    case 'number':
+        return (f.value.trim() !== '' && !isNaN(Number(f.value)));
+
+    case 'boolean':
+        return (f.value == 'true' || f.value == 'false');
+
+    case 'ip':
+        return (net.isIP(f.value) !== 0);
+
+    case 'subnet':
+        parts = f.value.split('/');
+        return (parts.length == 2 && net.isIP(parts[0]) !== 0 &&
+            /^\d+$/.test(parts[1]));
+
+    default:
+        return (true);
+    }
+}
+
+
+///--- Exports
+
+module.exports = {
+    MorayBucketCache: MorayBucketCache,
+    checkFilterIndexes: checkFilterIndexes
+};
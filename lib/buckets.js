@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -15,6 +16,8 @@
  * functions are documented in the Moray API.
  */
 
+var vm = require('vm');
+
 var assert = require('assert-plus');
 var uuidv4 = require('uuid/v4');
 var jsprim = require('jsprim');
@@ -23,6 +26,12 @@ var VError = require('verror');
 var rpc = require('./rpc');
 
 
+///--- Globals
+
+/* maximum time to evaluate a trigger in "sandbox" mode */
+var triggerEvalTimeout = 100;   /* milliseconds */
+
+
 ///--- API
 
 function createBucket(rpcctx, bucket, config, options, callback) {
@@ -46,6 +55,7 @@ function createBucket(rpcctx, bucket, config, options, callback) {
         'rpcctx': rpcctx,
         'rpcmethod': 'createBucket',
         'rpcargs': [ bucket, cfg, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'createBucket', options),
         'ignoreNullValues': true,
         'log': log
     }, callback);
@@ -65,8 +75,11 @@ function getBucket(rpcctx, bucket, options, callback) {
         'rpcctx': rpcctx,
         'rpcmethod': 'getBucket',
         'rpcargs': [ opts, bucket ],
+        'timeout': rpc.requestTimeout(rpcctx, 'getBucket', options),
         'log': log
     }, function (err, buckets) {
+        var config;
+
         if (!err && buckets.length != 1) {
             err = new VError('bad server response: expected 1 bucket, found %d',
                 buckets.length);
@@ -74,8 +87,14 @@ function getBucket(rpcctx, bucket, options, callback) {
 
         if (err) {
             callback(err);
+            return;
+        }
+
+        config = parseBucketConfig(buckets[0], rpcctx.triggerMode());
+        if (config instanceof Error) {
+            callback(config);
         } else {
-            callback(null, parseBucketConfig(buckets[0]));
+            callback(null, config);
         }
     });
 }
@@ -93,13 +112,35 @@ function listBuckets(rpcctx, options, callback) {
         'rpcctx': rpcctx,
         'rpcmethod': 'listBuckets',
         'rpcargs': [ opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'listBuckets', options),
         'log': log
     }, function (err, buckets) {
+        var configs, config, i;
+
         if (err) {
             callback(err);
-        } else {
-            callback(null, buckets.map(parseBucketConfig));
+            return;
+        }
+
+        /*
+         * One malformed bucket shouldn't keep callers from seeing the rest, so
+         * it's reported with a "configError" in place of its configuration.
+         */
+        configs = [];
+        for (i = 0; i < buckets.length; i++) {
+            config = parseBucketConfig(buckets[i], rpcctx.triggerMode());
+            if (config instanceof Error) {
+                config = {
+                    name: buckets[i].name,
+                    mtime: new Date(buckets[i].mtime),
+                    configError: config
+                };
+            }
+
+            configs.push(config);
         }
+
+        callback(null, configs);
     });
 }
 
@@ -124,6 +165,7 @@ function updateBucket(rpcctx, bucket, config, options, callback) {
         'rpcctx': rpcctx,
         'rpcmethod': 'updateBucket',
         'rpcargs': [ bucket, cfg, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'updateBucket', options),
         'ignoreNullValues': true,
         'log': log
     }, callback);
@@ -149,6 +191,7 @@ function deleteBucket(rpcctx, bucket, options, callback) {
         'rpcctx': rpcctx,
         'rpcmethod': 'delBucket',
         'rpcargs': [ bucket, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'deleteBucket', options),
         'ignoreNullValues': true,
         'log': log
     }, callback);
@@ -237,30 +280,128 @@ function makeBucketOptions(options) {
     return (opts);
 }
 
-/* XXX will a bad bucket here will crash the client? */
-function parseBucketConfig(obj) {
-    function parseFunctor(f) {
-        var fn;
-        /* jsl:ignore */
-        eval('fn = ' + f);
-        /* jsl:end */
-        return (fn);
+/*
+ * Parses a bucket configuration returned by the server.  The "pre" and "post"
+ * triggers are returned as source strings, which are processed according to
+ * "triggerMode" (see the "triggers" constructor option):
+ *
+ *     "eval"       each trigger is evaluated in this process to produce a
+ *                  function.  Since the source comes from the server, this
+ *                  executes arbitrary code in this process.
+ *
+ *     "sandbox"    each trigger is evaluated in a new, empty vm context with
+ *                  a short timeout to produce a function.  This keeps the
+ *                  trigger from referring to this module's scope or to Node
+ *                  globals like "process" and "require" by name, but the vm
+ *                  module is not a security mechanism: code can still escape
+ *                  the context (e.g., through the constructors of objects
+ *                  passed into it).  This mode is no safer than "eval" for
+ *                  untrusted bucket configurations.
+ *
+ *     "string"     triggers are left as source strings.  This is the only
+ *                  mode that's safe for untrusted bucket configurations.
+ *
+ * A trigger that cannot be evaluated, or that does not evaluate to a function,
+ * is left as its source string and reported with a TriggerParseError in the
+ * "triggerErrors" array of the returned configuration rather than thrown.  If
+ * any of the configuration's JSON-encoded fields cannot be parsed, returns an
+ * Error rather than throwing.  getBucket() fails with this Error, while
+ * listBuckets() reports it in that bucket's "configError".
+ */
+function parseBucketConfig(obj, triggerMode) {
+    var triggerErrors = [];
+    var res;
+
+    function parseField(field) {
+        try {
+            return (JSON.parse(obj[field]));
+        } catch (ex) {
+            throw (new VError({
+                'cause': ex,
+                'info': {
+                    'bucket': obj.name,
+                    'field': field
+                }
+            }, 'bad server response: bucket "%s": invalid "%s"', obj.name,
+                field));
+        }
     }
-    var res = {
-        name: obj.name,
-        index: JSON.parse(obj.index),
-        pre: JSON.parse(obj.pre).map(parseFunctor),
-        post: JSON.parse(obj.post).map(parseFunctor),
-        options: JSON.parse(obj.options),
-        mtime: new Date(obj.mtime)
-    };
-    if (obj.reindex_active) {
-        res.reindex_active = JSON.parse(obj.reindex_active);
+
+    function parseFunctors(which) {
+        var sources = parseField(which);
+
+        if (!Array.isArray(sources)) {
+            throw (new VError({
+                'info': {
+                    'bucket': obj.name,
+                    'field': which
+                }
+            }, 'bad server response: bucket "%s": "%s" is not an array',
+                obj.name, which));
+        }
+
+        return (sources.map(function (f, i) {
+            var fn;
+
+            if (triggerMode == 'string') {
+                return (f);
+            }
+
+            try {
+                if (triggerMode == 'sandbox') {
+                    fn = vm.runInNewContext('(' + f + ')',
+                        Object.create(null), {
+                        'filename': obj.name + '.' + which + '[' + i + ']',
+                        'timeout': triggerEvalTimeout
+                    });
+                } else {
+                    /* jsl:ignore */
+                    eval('fn = ' + f);
+                    /* jsl:end */
+                }
+
+                if (typeof (fn) != 'function') {
+                    throw (new Error('trigger is not a function'));
+                }
+            } catch (ex) {
+                triggerErrors.push(new VError({
+                    'name': 'TriggerParseError',
+                    'cause': ex,
+                    'info': {
+                        'bucket': obj.name,
+                        'trigger': which,
+                        'index': i
+                    }
+                }, 'bucket "%s": parse "%s" trigger %d', obj.name, which, i));
+                return (f);
+            }
+
+            return (fn);
+        }));
+    }
+
+    try {
+        res = {
+            name: obj.name,
+            index: parseField('index'),
+            pre: parseFunctors('pre'),
+            post: parseFunctors('post'),
+            options: parseField('options'),
+            mtime: new Date(obj.mtime)
+        };
+        if (obj.reindex_active) {
+            res.reindex_active = parseField('reindex_active');
+        }
+    } catch (ex) {
+        return (ex);
+    }
+
+    if (triggerErrors.length > 0) {
+        res.triggerErrors = triggerErrors;
     }
     return (res);
 }
 
-
 ///--- Exports
 
 module.exports = {
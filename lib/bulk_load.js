@@ -0,0 +1,572 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/bulk_load.js: loading objects into a bucket from newline-delimited JSON.
+ *
+ * Each non-empty line of the input is a JSON object with a string "key" and an
+ * object "value", which is written to the bucket with putObject() semantics
+ * (i.e., unconditionally).  Records are grouped into batches of "batchSize",
+ * and up to "concurrency" batch() requests are outstanding at once, so that
+ * requests are spread across the client's connections.  Input is read only as
+ * quickly as batches are written, so memory usage is bounded by the batch size
+ * and concurrency regardless of the size of the input.
+ *
+ * A batch that fails with a retryable error (e.g., because a connection was
+ * lost) is re-sent after a backoff delay.  Since batches are transactions, a
+ * batch that fails for any other reason (e.g., because one of its records
+ * violates a unique index) is re-sent as one batch per record, so that only
+ * the records that actually fail are reported as errors.  Records that can't
+ * be parsed and records that can't be written are counted as errors, and the
+ * load fails once there are more than "maxErrors" of them.
+ *
+ * Other properties of each record (like the "_id", "_etag", and "_mtime"
+ * properties written by exportBucket()) are ignored.  A line with a "bucket"
+ * property instead of a "key" (as written first by exportBucket()) is not a
+ * record and is reported with the "bucket" event instead.
+ *
+ * Because batches complete out of order, progress is tracked as a checkpoint:
+ * the number of input lines before which every record has either been written
+ * or reported as an error.  Passing the last checkpoint as "skipLines" to a new
+ * load (with the same input) resumes the load without rewriting every object.
+ * Records written after the checkpoint may be written again, which is harmless
+ * because the writes are unconditional.  The checkpoint never advances past a
+ * record whose error caused the load to fail.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var StringDecoder = require('string_decoder').StringDecoder;
+var util = require('util');
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+var mod_errors = require('./errors');
+var MorayRetryPolicy = require('./retry').MorayRetryPolicy;
+
+
+///--- Globals
+
+var dflBulkLoadBatchSize = 100;
+var dflBulkLoadConcurrency = 4;
+var dflBulkLoadMaxRetries = 10;
+var dflBulkLoadRetryableErrors = [
+    mod_errors.names.FastProtocol,
+    mod_errors.names.FastTransport,
+    mod_errors.names.NoConnections,
+    mod_errors.names.NoDatabasePeers,
+    mod_errors.names.RequestTimeout,
+    mod_errors.names.FastTimeout
+];
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     client       MorayClient used for batch() requests
+ *     (object)
+ *
+ *     bucket       name of the bucket into which to load objects
+ *     (string)
+ *
+ *     input        stream of newline-delimited JSON records
+ *     (Readable)
+ *
+ *     batchSize    maximum number of records per batch() request
+ *     (number)     (default: 100)
+ *
+ *     concurrency  maximum number of outstanding batch() requests
+ *     (number)     (default: 4)
+ *
+ *     skipLines    number of lines at the start of the input to ignore, as
+ *     (number)     when resuming from a checkpoint (default: 0)
+ *
+ *     maxErrors    number of records that may fail before the load fails
+ *     (number)     (default: 0)
+ *
+ *     maxRetries   maximum number of times to re-send a batch after a
+ *     (number)     retryable error (default: 10)
+ *
+ *     options      options for each batch() request (e.g., "timeout")
+ *     (object)
+ *
+ * The loader emits:
+ *
+ *     "recordError"    for each record that could not be parsed or written,
+ *                      with an object with properties "line" (the line
+ *                      number, starting at 1), "key" (or null if the line
+ *                      couldn't be parsed), and "error"
+ *
+ *     "bucket"         with the bucket configuration from a line written by
+ *                      exportBucket()
+ *
+ *     "checkpoint"     with the new checkpoint (a number of lines) each time
+ *                      it advances
+ *
+ *     "progress"       with the same object returned by stats(), each time the
+ *                      checkpoint advances
+ *
+ *     "end"            with the final stats() once the input has been read and
+ *                      every record has been written or reported
+ *
+ *     "error"          with a "BulkLoadError" if there were too many errors, or
+ *                      the input could not be read.  This is emitted only after
+ *                      all outstanding requests have completed.
+ */
+function MorayBulkLoader(args) {
+    var self = this;
+
+    assert.object(args, 'args');
+    assert.object(args.client, 'args.client');
+    assert.string(args.bucket, 'args.bucket');
+    assert.object(args.input, 'args.input');
+    assert.optionalNumber(args.batchSize, 'args.batchSize');
+    assert.optionalNumber(args.concurrency, 'args.concurrency');
+    assert.optionalNumber(args.skipLines, 'args.skipLines');
+    assert.optionalNumber(args.maxErrors, 'args.maxErrors');
+    assert.optionalNumber(args.maxRetries, 'args.maxRetries');
+    assert.optionalObject(args.options, 'args.options');
+
+    EventEmitter.call(this);
+
+    this.mbl_client = args.client;
+    this.mbl_bucket = args.bucket;
+    this.mbl_input = args.input;
+    this.mbl_batchsize = args.batchSize || dflBulkLoadBatchSize;
+    this.mbl_concurrency = args.concurrency || dflBulkLoadConcurrency;
+    this.mbl_skiplines = args.skipLines || 0;
+    this.mbl_maxerrors = args.maxErrors || 0;
+    this.mbl_options = args.options || {};
+    assert.ok(this.mbl_batchsize > 0 &&
+        Math.floor(this.mbl_batchsize) === this.mbl_batchsize,
+        'batchSize must be a positive integer');
+    assert.ok(this.mbl_concurrency > 0 &&
+        Math.floor(this.mbl_concurrency) === this.mbl_concurrency,
+        'concurrency must be a positive integer');
+
+    /* retry policy for batches that fail with retryable errors */
+    this.mbl_policy = new MorayRetryPolicy({
+        'maxAttempts': (args.maxRetries !== undefined ?
+            args.maxRetries : dflBulkLoadMaxRetries) + 1,
+        'retryableErrors': dflBulkLoadRetryableErrors
+    });
+
+    /* input parsing */
+    this.mbl_decoder = new StringDecoder('utf8');
+    this.mbl_partial = '';      /* incomplete last line of input */
+    this.mbl_nlines = 0;        /* lines read from input */
+    this.mbl_inputdone = false; /* all input has been read */
+    this.mbl_paused = false;    /* input has been paused for backpressure */
+
+    /*
+     * A "batch" describes a contiguous range of input lines ("first" through
+     * "last") and the records parsed from them.  Each batch is written using
+     * one or more requests (more than one if the batch had to be split), and
+     * the batch is done once all of its requests have completed.
+     * "mbl_batches" contains batches that are not yet done, in input order,
+     * which is what determines the checkpoint.
+     */
+    this.mbl_current = null;    /* batch being filled from input */
+    this.mbl_batches = [];      /* batches not yet done, in input order */
+    this.mbl_queue = [];        /* requests waiting to be sent */
+    this.mbl_ninflight = 0;     /* requests sent or awaiting retry */
+    this.mbl_checkpoint = this.mbl_skiplines;
+
+    this.mbl_error = null;      /* error that failed the load */
+    this.mbl_finished = false;  /* "end" or "error" has been emitted */
+
+    this.mbl_start = Date.now();
+    this.mbl_nrecords = 0;      /* records written */
+    this.mbl_nerrors = 0;       /* records that failed */
+    this.mbl_nrequests = 0;     /* successful batch() requests */
+    this.mbl_nretries = 0;      /* batch() requests re-sent */
+
+    this.mbl_ondata = function onBulkLoadData(chunk) {
+        self.onData(chunk);
+    };
+    this.mbl_onend = function onBulkLoadEnd() {
+        self.onEnd();
+    };
+    this.mbl_oninputerror = function onBulkLoadInputError(err) {
+        self.fail(new VError({
+            'name': 'BulkLoadError',
+            'cause': err,
+            'info': self.stats()
+        }, 'reading input'));
+    };
+
+    this.mbl_input.on('data', this.mbl_ondata);
+    this.mbl_input.on('end', this.mbl_onend);
+    this.mbl_input.on('error', this.mbl_oninputerror);
+}
+
+util.inherits(MorayBulkLoader, EventEmitter);
+
+/*
+ * Returns an object describing the progress of the load:
+ *
+ *     lines        number of lines read from the input
+ *
+ *     checkpoint   current checkpoint (see above)
+ *
+ *     records      number of records written
+ *
+ *     errors       number of records that could not be parsed or written
+ *
+ *     requests     number of successful batch() requests
+ *
+ *     retries      number of batch() requests re-sent after retryable errors
+ *
+ *     elapsed      milliseconds since the load started
+ *
+ *     rate         records written per second
+ */
+MorayBulkLoader.prototype.stats = function stats() {
+    var elapsed = Date.now() - this.mbl_start;
+
+    return ({
+        'lines': this.mbl_nlines,
+        'checkpoint': this.mbl_checkpoint,
+        'records': this.mbl_nrecords,
+        'errors': this.mbl_nerrors,
+        'requests': this.mbl_nrequests,
+        'retries': this.mbl_nretries,
+        'elapsed': elapsed,
+        'rate': elapsed > 0 ?
+            Math.round(this.mbl_nrecords * 1000 / elapsed) : 0
+    });
+};
+
+/*
+ * [private] Splits input into lines, and pauses the input if enough batches
+ * are already waiting to be sent.
+ */
+MorayBulkLoader.prototype.onData = function onData(chunk) {
+    var lines, i;
+
+    lines = (this.mbl_partial + this.mbl_decoder.write(chunk)).split('\n');
+    this.mbl_partial = lines.pop();
+    for (i = 0; i < lines.length && this.mbl_error === null; i++) {
+        this.processLine(lines[i]);
+    }
+
+    this.dispatch();
+    if (this.mbl_error === null && !this.mbl_paused &&
+        this.mbl_queue.length >= this.mbl_concurrency) {
+        this.mbl_paused = true;
+        this.mbl_input.pause();
+    }
+};
+
+MorayBulkLoader.prototype.onEnd = function onEnd() {
+    var last = this.mbl_partial + this.mbl_decoder.end();
+
+    this.mbl_partial = '';
+    if (last !== '' && this.mbl_error === null) {
+        this.processLine(last);
+    }
+
+    this.mbl_inputdone = true;
+    if (this.mbl_error === null) {
+        this.closeBatch();
+    }
+
+    this.dispatch();
+};
+
+/*
+ * [private] Parses one line of input and adds the record to the current
+ * batch.
+ */
+MorayBulkLoader.prototype.processLine = function processLine(line) {
+    var record;
+
+    this.mbl_nlines++;
+    if (this.mbl_nlines <= this.mbl_skiplines) {
+        return;
+    }
+
+    if (this.mbl_current === null) {
+        this.mbl_current = {
+            'first': this.mbl_nlines,
+            'last': this.mbl_nlines,
+            'records': [],
+            'nremaining': 0
+        };
+    }
+
+    this.mbl_current.last = this.mbl_nlines;
+    line = line.trim();
+    if (line === '') {
+        return;
+    }
+
+    try {
+        record = JSON.parse(line);
+        assert.object(record, 'record');
+        if (record.key === undefined && typeof (record.bucket) == 'object' &&
+            record.bucket !== null) {
+            /* bucket line written by exportBucket() */
+            this.emit('bucket', record.bucket);
+            return;
+        }
+        assert.string(record.key, 'record.key');
+        assert.object(record.value, 'record.value');
+    } catch (ex) {
+        this.recordError(this.mbl_nlines, null, new VError({
+            'name': 'InvalidRecordError',
+            'cause': ex,
+            'info': { 'line': this.mbl_nlines }
+        }, 'line %d: invalid record', this.mbl_nlines));
+        return;
+    }
+
+    this.mbl_current.records.push({
+        'line': this.mbl_nlines,
+        'key': record.key,
+        'value': record.value
+    });
+
+    if (this.mbl_current.records.length == this.mbl_batchsize) {
+        this.closeBatch();
+    }
+};
+
+/*
+ * [private] Queues the current batch to be written.
+ */
+MorayBulkLoader.prototype.closeBatch = function closeBatch() {
+    var batch = this.mbl_current;
+
+    if (batch === null) {
+        return;
+    }
+
+    this.mbl_current = null;
+    this.mbl_batches.push(batch);
+    if (batch.records.length === 0) {
+        this.advance();
+        return;
+    }
+
+    batch.nremaining = 1;
+    this.mbl_queue.push({
+        'batch': batch,
+        'records': batch.records,
+        'attempts': 0,
+        'backoff': null
+    });
+};
+
+/*
+ * [private] Sends queued requests, up to the concurrency limit, and resumes
+ * the input if there's room for more.
+ */
+MorayBulkLoader.prototype.dispatch = function dispatch() {
+    while (this.mbl_error === null &&
+        this.mbl_ninflight < this.mbl_concurrency &&
+        this.mbl_queue.length > 0) {
+        this.send(this.mbl_queue.shift());
+    }
+
+    if (this.mbl_error === null && this.mbl_paused &&
+        this.mbl_queue.length < this.mbl_concurrency) {
+        this.mbl_paused = false;
+        this.mbl_input.resume();
+    }
+
+    this.maybeFinish();
+};
+
+/*
+ * [private] Sends the batch() request for "req".
+ */
+MorayBulkLoader.prototype.send = function send(req) {
+    var self = this;
+    var requests;
+
+    requests = req.records.map(function (r) {
+        return ({
+            'bucket': self.mbl_bucket,
+            'key': r.key,
+            'value': r.value
+        });
+    });
+
+    req.attempts++;
+    this.mbl_ninflight++;
+    this.mbl_client.batch(requests, this.mbl_options, function (err) {
+        if (!err) {
+            self.mbl_ninflight--;
+            self.mbl_nrequests++;
+            self.mbl_nrecords += req.records.length;
+            self.requestDone(req.batch);
+            self.dispatch();
+            return;
+        }
+
+        if (self.mbl_error === null &&
+            self.mbl_policy.retryableName(err) !== null) {
+            if (req.backoff === null) {
+                req.backoff = self.mbl_policy.createBackoff();
+            }
+
+            if (req.attempts < self.mbl_policy.maxAttempts()) {
+                self.mbl_nretries++;
+                req.backoff.once('ready', function () {
+                    self.mbl_ninflight--;
+                    self.mbl_queue.unshift(req);
+                    self.dispatch();
+                });
+                req.backoff.backoff(err);
+                return;
+            }
+        }
+
+        self.mbl_ninflight--;
+        self.onRequestError(req, err);
+        self.dispatch();
+    });
+};
+
+/*
+ * [private] Handles a request that failed with a non-retryable error (or that
+ * ran out of retries).
+ */
+MorayBulkLoader.prototype.onRequestError = function onRequestError(req, err) {
+    var self = this;
+
+    if (this.mbl_error !== null) {
+        return;
+    }
+
+    if (req.records.length > 1 &&
+        this.mbl_policy.retryableName(err) === null) {
+        /*
+         * The whole batch was rolled back, so write each record separately to
+         * find out which ones fail.
+         */
+        req.batch.nremaining += req.records.length - 1;
+        this.mbl_queue = req.records.map(function (r) {
+            return ({
+                'batch': req.batch,
+                'records': [ r ],
+                'attempts': 0,
+                'backoff': null
+            });
+        }).concat(this.mbl_queue);
+        return;
+    }
+
+    req.records.forEach(function (r) {
+        if (self.mbl_error === null) {
+            self.recordError(r.line, r.key, err);
+        }
+    });
+
+    if (this.mbl_error === null) {
+        this.requestDone(req.batch);
+    }
+};
+
+/*
+ * [private] Records a failed record, and fails the load if there have been
+ * too many.
+ */
+MorayBulkLoader.prototype.recordError = function recordError(line, key, err) {
+    this.mbl_nerrors++;
+    this.emit('recordError', {
+        'line': line,
+        'key': key,
+        'error': err
+    });
+
+    if (this.mbl_nerrors > this.mbl_maxerrors) {
+        this.fail(new VError({
+            'name': 'BulkLoadError',
+            'cause': err,
+            'info': this.stats()
+        }, 'too many errors (%d)', this.mbl_nerrors));
+    }
+};
+
+/*
+ * [private] Marks one of the requests for "batch" as done.
+ */
+MorayBulkLoader.prototype.requestDone = function requestDone(batch) {
+    assert.ok(batch.nremaining > 0);
+    if (--batch.nremaining === 0) {
+        this.advance();
+    }
+};
+
+/*
+ * [private] Advances the checkpoint past batches that are done.
+ */
+MorayBulkLoader.prototype.advance = function advance() {
+    var checkpoint = this.mbl_checkpoint;
+
+    while (this.mbl_batches.length > 0 &&
+        this.mbl_batches[0].nremaining === 0) {
+        checkpoint = this.mbl_batches.shift().last;
+    }
+
+    if (checkpoint != this.mbl_checkpoint) {
+        this.mbl_checkpoint = checkpoint;
+        this.emit('checkpoint', checkpoint);
+        this.emit('progress', this.stats());
+    }
+};
+
+/*
+ * [private] Stops reading input and sending requests.  "err" is emitted once
+ * outstanding requests have completed.
+ */
+MorayBulkLoader.prototype.fail = function fail(err) {
+    if (this.mbl_error !== null) {
+        return;
+    }
+
+    this.mbl_error = err;
+    this.mbl_queue = [];
+    this.mbl_input.removeListener('data', this.mbl_ondata);
+    this.mbl_input.removeListener('end', this.mbl_onend);
+    this.mbl_input.pause();
+};
+
+MorayBulkLoader.prototype.maybeFinish = function maybeFinish() {
+    if (this.mbl_finished || this.mbl_ninflight > 0) {
+        return;
+    }
+
+    if (this.mbl_error !== null) {
+        this.mbl_finished = true;
+        this.mbl_input.removeListener('error', this.mbl_oninputerror);
+        this.emit('error', this.mbl_error);
+        return;
+    }
+
+    if (this.mbl_inputdone && this.mbl_queue.length === 0 &&
+        this.mbl_current === null) {
+        assert.equal(this.mbl_batches.length, 0);
+        this.mbl_finished = true;
+        this.mbl_input.removeListener('error', this.mbl_oninputerror);
+        this.emit('end', this.stats());
+    }
+};
+
+
+///--- Exports
+
+module.exports = {
+    MorayBulkLoader: MorayBulkLoader
+};
@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -17,6 +18,7 @@ var EventEmitter = require('events').EventEmitter;
 var net = require('net');
 var url = require('url');
 var util = require('util');
+var zlib = require('zlib');
 
 var assert = require('assert-plus');
 var cueball = require('cueball');
@@ -25,11 +27,28 @@ var uuidv4 = require('uuid/v4');
 var VError = require('verror');
 
 var MorayConnectionPool = require('./pool');
+var MorayBatchBuilder = require('./batch_builder').MorayBatchBuilder;
+var MorayBulkLoader = require('./bulk_load').MorayBulkLoader;
 var FastConnection = require('./fast_connection');
+var MorayBucketExporter = require('./export').MorayBucketExporter;
+var MorayBackendHealthChecker = require('./health').MorayBackendHealthChecker;
+var mod_balancer = require('./balancer');
+var MorayListener = require('./listener').MorayListener;
+var MorayClientMetrics = require('./metrics').MorayClientMetrics;
+var mod_bucket_cache = require('./bucket_cache');
 var buckets = require('./buckets');
+var mod_filter = require('./filter');
 var meta = require('./meta');
+var mod_migrate = require('./migrate');
 var objects = require('./objects');
+var MorayPromiseClient = require('./promises').MorayPromiseClient;
+var mod_pubsub = require('./pubsub');
+var MorayBucketReindexer = require('./reindex').MorayBucketReindexer;
+var MorayRetryPolicy = require('./retry').MorayRetryPolicy;
+var MorayObjectScanner = require('./scan').MorayObjectScanner;
 var tokens = require('./tokens');
+var mod_update_object = require('./update_object');
+var MorayBucketWatcher = require('./watch').MorayBucketWatcher;
 var parseMorayParameters = require('./client_params').parseMorayParameters;
 
 
@@ -48,14 +67,80 @@ var MORAY_CS_CLOSED  = 'closed';
 
 ///--- Helpers
 
-function emitUnavailable() {
+/*
+ * Returns an event emitter that emits the error for an event-emitter-based RPC
+ * on "client" for which no RPC context could be created: ClientClosedError if
+ * the client has been closed, and NoBackendsError otherwise.
+ */
+function emitUnavailable(client) {
+    if (client.closeState != MORAY_CS_OPEN) {
+        return (emitError(clientClosedError()));
+    }
+
+    return (emitError(new VError({
+        'name': 'NoBackendsError'
+    }, 'no active connections')));
+}
+
+/*
+ * Returns the error for a request made after the client has been closed.
+ * Unlike NoBackendsError, this condition is permanent, so it's neither
+ * retryable nor transient (see lib/errors.js).
+ */
+function clientClosedError() {
+    return (new VError({
+        'name': 'ClientClosedError'
+    }, 'moray client has been closed'));
+}
+
+/*
+ * Returns an event emitter (like the one returned by an event-emitter-based
+ * RPC) that emits the given error.
+ */
+function emitError(err) {
     var emitter = new EventEmitter();
     setImmediate(function () {
-        emitter.emit('error', new Error('no active connections'));
+        emitter.emit('error', err);
     });
+    emitter.abort = function abort() {};
     return (emitter);
 }
 
+/*
+ * Returns true if "rpcmethod" is used for listen() requests.  The RPC context
+ * for a listen() request remains outstanding until the caller unlistens, so
+ * its duration doesn't reflect how long the server took.
+ */
+function isSubscriptionMethod(rpcmethod) {
+    return (rpcmethod == 'listen' || rpcmethod == 'unlisten');
+}
+
+/*
+ * Given an AbortSignal-like object (i.e., one with an "aborted" property and
+ * addEventListener()/removeEventListener() methods for the "abort" event) and
+ * an event emitter returned by an event-emitter-based RPC, abort the RPC when
+ * the signal fires.
+ */
+function abortOnSignal(signal, emitter) {
+    assert.object(signal, 'signal');
+    assert.func(signal.addEventListener, 'signal.addEventListener');
+    assert.func(signal.removeEventListener, 'signal.removeEventListener');
+
+    if (signal.aborted) {
+        emitter.abort();
+        return;
+    }
+
+    signal.addEventListener('abort', onAbort);
+    emitter.on('_moray_internal_rpc_done', function () {
+        signal.removeEventListener('abort', onAbort);
+    });
+
+    function onAbort() {
+        emitter.abort();
+    }
+}
+
 
 ///--- API
 
@@ -90,6 +175,44 @@ function MorayClient(options) {
     assert.optionalBool(options.requireOnlineReindexing,
         'options.requireOnlineReindexing');
     assert.optionalNumber(options.crc_mode, 'options.crc_mode');
+    assert.optionalObject(options.retry, 'options.retry');
+    assert.optionalNumber(options.defaultTimeout, 'options.defaultTimeout');
+    assert.optionalObject(options.timeouts, 'options.timeouts');
+    assert.optionalObject(options.bucketCache, 'options.bucketCache');
+    assert.optionalBool(options.validateFilters, 'options.validateFilters');
+    assert.optionalString(options.indexCheck, 'options.indexCheck');
+    assert.optionalString(options.triggers, 'options.triggers');
+    assert.optionalNumber(options.minServerVersion, 'options.minServerVersion');
+    assert.optionalObject(options.outlierDetection,
+        'options.outlierDetection');
+    assert.optionalNumber(options.slowRequestThreshold,
+        'options.slowRequestThreshold');
+    if (options.triggers !== undefined) {
+        assert.ok(options.triggers == 'eval' ||
+            options.triggers == 'sandbox' ||
+            options.triggers == 'string',
+            'options.triggers must be "eval", "sandbox", or "string"');
+    }
+    if (options.indexCheck !== undefined) {
+        assert.ok(options.indexCheck == 'warn' ||
+            options.indexCheck == 'fail',
+            'options.indexCheck must be "warn" or "fail"');
+    }
+    if (options.defaultTimeout !== undefined) {
+        assert.ok(options.defaultTimeout > 0,
+            'options.defaultTimeout must be positive');
+    }
+    if (options.slowRequestThreshold !== undefined) {
+        assert.ok(options.slowRequestThreshold > 0,
+            'options.slowRequestThreshold must be positive');
+    }
+    if (options.timeouts) {
+        jsprim.forEachKey(options.timeouts, function (method, timeout) {
+            assert.number(timeout, 'options.timeouts.' + method);
+            assert.ok(timeout > 0,
+                'options.timeouts.' + method + ' must be positive');
+        });
+    }
 
     coptions = parseMorayParameters(options);
     cueballOptions = coptions.cueballOptions;
@@ -104,6 +227,39 @@ function MorayClient(options) {
         options.requireOnlineReindexing ? true : false;
     this.crc_mode = options.crc_mode;
 
+    /*
+     * How bucket triggers returned by the server are deserialized.  See
+     * parseBucketConfig() in lib/buckets.js.
+     */
+    this.triggerMode = options.triggers || 'eval';
+
+    /*
+     * Minimum version of servers to use for requests.  If specified, each
+     * connection determines its server's version when it's established, and
+     * the pool only uses connections to servers at this version or later.  See
+     * lib/pool.js.
+     */
+    this.minServerVersion = typeof (options.minServerVersion) == 'number' ?
+        options.minServerVersion : null;
+
+    /*
+     * Strategy for picking a connection for each request.  See
+     * lib/balancer.js.
+     */
+    this.balancer = mod_balancer.createBalancer(options.balancer || 'random');
+
+    /*
+     * Client-side RPC timeouts (in milliseconds).  See rpc.requestTimeout().
+     */
+    this.defaultTimeout = options.defaultTimeout;
+    this.timeouts = options.timeouts ? jsprim.deepCopy(options.timeouts) : {};
+
+    /*
+     * Requests outstanding for longer than this (in milliseconds) are logged
+     * and reported with a "slowRequest" event.  See onSlowRequest().
+     */
+    this.slowRequestThreshold = options.slowRequestThreshold || null;
+
     /* Helper objects. */
     this.log = options.log.child({
         component: 'MorayClient',
@@ -112,10 +268,37 @@ function MorayClient(options) {
 
     this.log.debug(coptions, 'init');
 
+    /*
+     * Whether to check filter syntax before sending requests.  This is opt-in
+     * because the client's parser (see lib/filter.js) is stricter than the
+     * server's, so some filters that the server accepts would be rejected.
+     */
+    this.validateFilters = options.validateFilters === true;
+
+    /*
+     * Optional cache of bucket configurations, used to check filters against
+     * bucket indexes before sending requests.  See lib/bucket_cache.js.
+     */
+    this.indexCheck = options.indexCheck || null;
+    this.bucketCache = (options.bucketCache || this.indexCheck !== null) ?
+        new mod_bucket_cache.MorayBucketCache(options.bucketCache || {}) :
+        null;
+
+    /* Optional retry policy for idempotent RPCs.  See lib/retry.js. */
+    this.retryPolicy = options.retry ?
+        new MorayRetryPolicy(options.retry) : null;
+
     /* Optional artedi metrics collector that we'll pass to fast, if set. */
     if (options.collector) {
         this.collector = options.collector;
         this.metricLabels = options.metricLabels;
+
+        if (this.retryPolicy !== null) {
+            this.retryCounter = this.collector.counter({
+                'name': 'moray_client_rpc_retries',
+                'help': 'count of moray client RPC attempts that were retried'
+            });
+        }
     }
 
     if (coptions.mode == 'srv') {
@@ -191,17 +374,44 @@ function MorayClient(options) {
         this.onprocexit = null;
     }
 
+    /*
+     * Per-backend health tracking and (optional) outlier detection.  See
+     * lib/health.js.
+     */
+    this.health = new MorayBackendHealthChecker({
+        'log': this.log.child({ 'component': 'BackendHealth' }, true),
+        'options': options.outlierDetection || null,
+        'ping': function pingBackend(backend, timeout, callback) {
+            self.pingBackend(backend, timeout, callback);
+        },
+        'collector': this.collector,
+        'metricLabels': this.metricLabels
+    });
+
     this.pool = new MorayConnectionPool({
         'log': this.log,
         'cueballResolver': this.cueballResolver,
-        'cueballSet': this.cueball
+        'cueballSet': this.cueball,
+        'minServerVersion': this.minServerVersion,
+        'healthChecker': this.health,
+        'balancer': this.balancer
     });
 
+    /* Client-level metrics, if requested.  See lib/metrics.js. */
+    this.metrics = this.collector ? new MorayClientMetrics({
+        'collector': this.collector,
+        'metricLabels': this.metricLabels,
+        'pool': this.pool
+    }) : null;
+
     this.cueballOnStateChange = function (st) {
         self.onCueballStateChange(st);
     };
 
     this.cueball.on('stateChanged', this.cueballOnStateChange);
+
+    /* Promise-based versions of the RPC methods.  See lib/promises.js. */
+    this.promises = new MorayPromiseClient(this);
 }
 
 util.inherits(MorayClient, EventEmitter);
@@ -281,6 +491,7 @@ MorayClient.prototype.close = function close() {
     this.nactiveAtClose = this.nactive;
     this.log.info({ 'nactiveAtClose': this.nactive }, 'closing');
     this.pool.fallbackDisable();
+    this.health.stop();
 
     if (this.nactive === 0) {
         setImmediate(function closeImmediate() { self.closeFini(); });
@@ -308,6 +519,7 @@ MorayClient.prototype.closeFini = function closeFini() {
     var self = this;
     this.cueball.on('stateChanged', function (st) {
         if (st === 'stopped') {
+            self.closeState = MORAY_CS_CLOSED;
             self.log.info('closed');
             self.emit('close');
         }
@@ -346,10 +558,96 @@ MorayClient.prototype.createFastConnection =
             'component': 'FastClient',
             'backendName': backend.name
         }),
-        'crc_mode': this.crc_mode
+        'crc_mode': this.crc_mode,
+        'checkVersion': this.minServerVersion !== null
     }));
 };
 
+/**
+ * Reports the backends to which this client is connected, with the health of
+ * each (see lib/health.js).
+ *
+ * @return {Array} - an object describing each backend
+ */
+MorayClient.prototype.backends = function backends() {
+    return (this.pool.backends());
+};
+
+/*
+ * [private] Makes a deep ping request to the given backend for the health
+ * checker.
+ */
+MorayClient.prototype.pingBackend =
+    function pingBackend(backend, timeout, callback) {
+    var aconn, rpcctx;
+
+    if (this.closeState != MORAY_CS_OPEN) {
+        setImmediate(callback, clientClosedError());
+        return;
+    }
+
+    aconn = this.pool.connAllocBackend(backend);
+    if (aconn instanceof Error) {
+        setImmediate(callback, aconn);
+        return;
+    }
+
+    rpcctx = this.ctxCreateCommon(aconn);
+    meta.ping(rpcctx, { 'deep': true, 'timeout': timeout },
+        this.makeReleaseCb(rpcctx, callback));
+};
+
+/**
+ * Reports the versions of the servers to which this client is connected.
+ * Versions are only known if the "minServerVersion" constructor option was
+ * specified.
+ *
+ * @return {Object} - with properties "minServerVersion", "versions" (the
+ *                    number of connections to servers at each version), and
+ *                    "backends" (the version of each connection's server)
+ */
+MorayClient.prototype.serverVersions = function serverVersions() {
+    return (this.pool.serverVersions());
+};
+
+/**
+ * Returns a snapshot of this client's state for debugging (e.g., to expose on
+ * a debug endpoint).  See moray(3) for details.
+ *
+ * @return {Object} - describing the client, its connections, and its
+ *                    outstanding requests
+ */
+MorayClient.prototype.getStats = function getStats() {
+    var oldest, connected, poolstats;
+
+    oldest = null;
+    jsprim.forEachKey(this.activeContexts, function (_, rpcctx) {
+        var summary = rpcctx.summary();
+        if (oldest === null || summary.ageMs > oldest.ageMs) {
+            oldest = summary;
+        }
+    });
+
+    connected = this.timeConnected === null ? null :
+        Date.now() - this.timeConnected.getTime();
+    poolstats = this.pool.stats();
+
+    return ({
+        'host': this.hostLabel,
+        'closeState': this.closeState,
+        'cueballState': this.cueball.getState(),
+        'timeConnected': this.timeConnected,
+        'connectedMs': connected,
+        'timeCueballInitFailed': this.timeCueballInitFailed,
+        'nactive': this.nactive,
+        'nrequests': this.ncontexts,
+        'oldestRequest': oldest,
+        'connections': poolstats.connections,
+        'fallback': poolstats.fallback,
+        'pool': poolstats.counters
+    });
+};
+
 /*
  * Internal functions for RPC contexts and context management
  *
@@ -358,10 +656,9 @@ MorayClient.prototype.createFastConnection =
  * the underlying Fast client.  When the RPC completes, the implementing
  * function must release the MorayRpcContext.  This mechanism enables us to
  * ensure that connections are never released twice from the same RPC, and it
- * also affords some debuggability if connections become leaked.  Additionally,
- * if future RPC function implementors need additional information from the
- * Moray client (e.g., a way to tell whether the caller has tried to cancel the
- * request), we can add additional functions to the MorayRpcContext.
+ * also affords some debuggability if connections become leaked.  The
+ * MorayRpcContext is also how RPC function implementors get other information
+ * from the Moray client (e.g., whether the caller has aborted the request).
  *
  * RPC functions use one of two patterns for obtaining and releasing RPC
  * contexts, depending on whether they're callback-based or event-emitter-based.
@@ -393,7 +690,7 @@ MorayClient.prototype.createFastConnection =
  *              this.releaseWhenDone(rpcctx, ee);
  *              // Make the RPC call and emit 'end' or 'error' upon completion.
  *          } else {
- *              ee = emitUnavailable();
+ *              ee = emitUnavailable(this);
  *          }
  *
  *          return (ee);
@@ -422,7 +719,7 @@ MorayClient.prototype.ctxCreateForCallback =
 
     assert.func(callback, 'callback');
     if (this.closeState != MORAY_CS_OPEN) {
-        setImmediate(callback, new Error('moray client has been closed'));
+        setImmediate(callback, clientClosedError());
         return (null);
     }
 
@@ -465,6 +762,7 @@ MorayClient.prototype.ctxCreateForEmitter = function ctxCreateForEmitter() {
  * implementation and to aid debuggability in the event of leaks.
  */
 MorayClient.prototype.ctxCreateCommon = function (conn) {
+    var self = this;
     var rpcctx;
 
     assert.object(conn);
@@ -481,6 +779,14 @@ MorayClient.prototype.ctxCreateCommon = function (conn) {
 
     assert.ok(!this.activeContexts.hasOwnProperty(rpcctx.mc_id));
     this.activeContexts[rpcctx.mc_id] = rpcctx;
+
+    if (this.slowRequestThreshold !== null) {
+        rpcctx.mc_slow_timer = setTimeout(function onSlowRequestTimer() {
+            rpcctx.mc_slow_timer = null;
+            self.onSlowRequest(rpcctx);
+        }, this.slowRequestThreshold);
+    }
+
     return (rpcctx);
 };
 
@@ -496,11 +802,43 @@ MorayClient.prototype.ctxRelease = function ctxRelease(rpcctx) {
     delete (this.activeContexts[rpcctx.mc_id]);
     this.pool.connRelease(rpcctx.mc_conn);
 
+    if (rpcctx.mc_slow_timer !== null) {
+        clearTimeout(rpcctx.mc_slow_timer);
+        rpcctx.mc_slow_timer = null;
+    }
+
     if (this.nactive === 0 && this.closeState == MORAY_CS_CLOSING) {
         this.closeFini();
     }
 };
 
+/*
+ * Internal function invoked when an RPC context has been outstanding for longer
+ * than "slowRequestThreshold".  This happens at most once for each context.
+ */
+MorayClient.prototype.onSlowRequest = function onSlowRequest(rpcctx) {
+    var summary, info;
+
+    summary = rpcctx.summary();
+    if (summary.method !== null && isSubscriptionMethod(summary.method)) {
+        return;
+    }
+
+    info = {
+        'id': summary.id,
+        'method': summary.method,
+        'bucket': summary.bucket,
+        'filter': summary.filter,
+        'req_id': summary.req_id,
+        'backend': summary.backend,
+        'elapsedMs': summary.ageMs,
+        'thresholdMs': this.slowRequestThreshold
+    };
+
+    this.log.warn(info, 'slow request');
+    this.emit('slowRequest', info);
+};
+
 /*
  * Given an RPC context and a user callback, return a callback that will
  * release the underlying RPC context and then invoke the user callback with the
@@ -538,6 +876,170 @@ MorayClient.prototype.releaseWhenDone = function releaseOnEnd(rpcctx, emitter) {
     });
 };
 
+/*
+ * Internal function for invoking an idempotent callback-based RPC.  "rpcmethod"
+ * is the name of the RPC (for logging and metrics), "callback" is the user's
+ * callback, and "func" is a function that makes one attempt at the RPC:
+ *
+ *     func(rpcctx, callback)
+ *
+ * If the client was not configured with a retry policy, this is exactly the
+ * callback-based pattern described under "Internal functions for RPC contexts
+ * and context management" above.  Otherwise, attempts that fail with a
+ * retryable error are re-issued after a delay using a new RPC context (and so
+ * potentially a different connection), until an attempt succeeds, fails with a
+ * non-retryable error, or the maximum number of attempts is reached.  In all
+ * cases, the user's callback is invoked exactly once with the result of the
+ * last attempt.
+ */
+MorayClient.prototype.ctxRunWithRetry =
+    function ctxRunWithRetry(rpcmethod, callback, func) {
+    var self = this;
+    var policy, attempt, retryBackoff, rpcctx;
+
+    assert.string(rpcmethod, 'rpcmethod');
+    assert.func(callback, 'callback');
+    assert.func(func, 'func');
+
+    policy = this.retryPolicy;
+    if (policy === null) {
+        rpcctx = this.ctxCreateForCallback(callback);
+        if (rpcctx)
+            func(rpcctx, this.makeReleaseCb(rpcctx, callback));
+        return;
+    }
+
+    attempt = 0;
+    retryBackoff = policy.createBackoff();
+    retryBackoff.on('ready', doAttempt);
+    doAttempt();
+
+    function doAttempt() {
+        attempt++;
+        rpcctx = self.ctxCreateForCallback(onAttemptDone);
+        if (rpcctx)
+            func(rpcctx, self.makeReleaseCb(rpcctx, onAttemptDone));
+    }
+
+    function onAttemptDone(err) {
+        var errname = err ? policy.retryableName(err) : null;
+
+        if (errname !== null && attempt < policy.maxAttempts() &&
+            self.closeState == MORAY_CS_OPEN) {
+            self.log.warn({
+                'err': err,
+                'rpcmethod': rpcmethod,
+                'attempt': attempt,
+                'maxAttempts': policy.maxAttempts()
+            }, 'retrying failed RPC');
+
+            if (self.retryCounter) {
+                self.retryCounter.increment(jsprim.mergeObjects(
+                    self.metricLabels, {
+                        'rpcMethod': rpcmethod,
+                        'errorName': errname
+                    }, null));
+            }
+
+            retryBackoff.backoff(err);
+            return;
+        }
+
+        retryBackoff.removeAllListeners('ready');
+        callback.apply(null, arguments);
+    }
+};
+
+/*
+ * Internal functions for the bucket configuration cache (see
+ * lib/bucket_cache.js).
+ *
+ * bucketCacheInvalidate() is used by RPCs that modify bucket "b".  It removes
+ * any cached configuration for the bucket and returns a callback that does so
+ * again before invoking "callback", so that a getBucket() that completes while
+ * the modification is outstanding can't leave stale configuration behind.
+ */
+MorayClient.prototype.bucketCacheInvalidate =
+    function bucketCacheInvalidate(b, callback) {
+    var cache = this.bucketCache;
+
+    if (cache === null) {
+        return (callback);
+    }
+
+    cache.remove(b);
+    return (function onBucketModified() {
+        cache.remove(b);
+        callback.apply(null, arguments);
+    });
+};
+
+/*
+ * Checks a filter for RPC "rpcmethod" on bucket "b" before the request is
+ * sent.  If the "validateFilters" option was specified, returns an
+ * InvalidFilterError if the filter is malformed.  Otherwise, returns the
+ * result of checkFilterIndexes().
+ */
+MorayClient.prototype.checkFilter = function checkFilter(rpcmethod, b, filter) {
+    var err;
+
+    if (this.validateFilters) {
+        err = mod_filter.validateFilter(filter);
+        if (err !== null) {
+            return (err);
+        }
+    }
+
+    return (this.checkFilterIndexes(rpcmethod, b, filter));
+};
+
+/*
+ * Checks a filter for RPC "rpcmethod" against the cached configuration of
+ * bucket "b", if the "indexCheck" option was specified and the configuration
+ * is cached.  Returns an IndexCheckError if the check fails in "fail" mode, and
+ * null otherwise.  Problems found in "warn" mode are only logged.  Filters that
+ * the client cannot parse are left for the server to check.
+ */
+MorayClient.prototype.checkFilterIndexes =
+    function checkFilterIndexes(rpcmethod, b, filter) {
+    var bucket, problems, err;
+
+    if (this.indexCheck === null) {
+        return (null);
+    }
+
+    bucket = this.bucketCache.get(b);
+    if (bucket === null) {
+        return (null);
+    }
+
+    problems = mod_bucket_cache.checkFilterIndexes(bucket, filter);
+    if (problems === null) {
+        return (null);
+    }
+
+    err = new VError({
+        'name': 'IndexCheckError',
+        'info': jsprim.mergeObjects(problems, {
+            'rpcMethod': rpcmethod,
+            'bucket': b,
+            'filter': filter
+        })
+    }, 'filter "%s" for bucket "%s" is not supported by its indexes ' +
+        '(unindexed fields: %j, reindexing fields: %j, mismatched values: %j)',
+        filter, b, problems.unindexedFields, problems.reindexingFields,
+        problems.mismatchedValues.map(function (m) {
+            return (m.field);
+        }));
+
+    if (this.indexCheck == 'warn') {
+        this.log.warn(err, 'filter is not supported by bucket indexes');
+        return (null);
+    }
+
+    return (err);
+};
+
 /*
  * RPC implementation functions
  *
@@ -564,6 +1066,7 @@ MorayClient.prototype.createBucket = function createBucket(b, cfg, opts, cb) {
         cb = opts;
         opts = {};
     }
+    cb = this.bucketCacheInvalidate(b, cb);
     var rpcctx = this.ctxCreateForCallback(cb);
     if (rpcctx)
         buckets.createBucket(rpcctx, b, cfg, opts,
@@ -585,9 +1088,14 @@ MorayClient.prototype.getBucket = function getBucket(b, opts, cb) {
         cb = opts;
         opts = {};
     }
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx)
-        buckets.getBucket(rpcctx, b, opts, this.makeReleaseCb(rpcctx, cb));
+    var cache = this.bucketCache;
+    this.ctxRunWithRetry('getBucket', function (err, bucket) {
+        if (!err && cache !== null)
+            cache.put(bucket);
+        cb(err, bucket);
+    }, function (rpcctx, callback) {
+        buckets.getBucket(rpcctx, b, opts, callback);
+    });
 };
 
 
@@ -605,10 +1113,21 @@ MorayClient.prototype.listBuckets = function listBuckets(opts, cb) {
         opts = {};
     }
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-
-    if (rpcctx)
-        buckets.listBuckets(rpcctx, opts, this.makeReleaseCb(rpcctx, cb));
+    var cache = this.bucketCache;
+    this.ctxRunWithRetry('listBuckets', function (err, bucketList) {
+        if (!err && cache !== null) {
+            bucketList.forEach(function (bucket) {
+                if (bucket.configError) {
+                    cache.remove(bucket.name);
+                } else {
+                    cache.put(bucket);
+                }
+            });
+        }
+        cb(err, bucketList);
+    }, function (rpcctx, callback) {
+        buckets.listBuckets(rpcctx, opts, callback);
+    });
 };
 
 
@@ -628,6 +1147,7 @@ MorayClient.prototype.updateBucket = function updateBucket(b, cfg, opts, cb) {
         cb = opts;
         opts = {};
     }
+    cb = this.bucketCacheInvalidate(b, cb);
     var rpcctx = this.ctxCreateForCallback(cb);
     if (rpcctx)
         buckets.updateBucket(rpcctx, b, cfg, opts,
@@ -653,6 +1173,7 @@ MorayClient.prototype.deleteBucket = function deleteBucket(b, opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
+    cb = this.bucketCacheInvalidate(b, cb);
     var rpcctx = this.ctxCreateForCallback(cb);
     if (rpcctx)
         buckets.deleteBucket(rpcctx, b, opts, this.makeReleaseCb(rpcctx, cb));
@@ -682,11 +1203,61 @@ MorayClient.prototype.putBucket = function putBucket(b, cfg, opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
+    cb = this.bucketCacheInvalidate(b, cb);
     var rpcctx = this.ctxCreateForCallback(cb);
     if (rpcctx)
         buckets.putBucket(rpcctx, b, cfg, opts, this.makeReleaseCb(rpcctx, cb));
 };
 
+
+/**
+ * Compares a bucket's current configuration with the given configuration
+ * without modifying anything, as a preview of putBucket().  See diffBucket()
+ * in lib/migrate.js for the result.
+ *
+ * @param {String} b    - Bucket name
+ * @param {Object} cfg  - bucket config, as for putBucket()
+ * @param {Object} opts - request parameters
+ * @param {Function} cb - callback
+ */
+MorayClient.prototype.diffBucket = function diffBucket(b, cfg, opts, cb) {
+    assert.string(b, 'bucket');
+    assert.object(cfg, 'config');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    mod_migrate.diffBucket(this, b, cfg, opts, cb);
+};
+
+
+/**
+ * Brings a set of buckets up to date with their declared, versioned schemas:
+ * creates missing buckets, updates older ones (refusing to downgrade newer
+ * ones), and reindexes objects until newly added indexes are usable.  See
+ * lib/migrate.js for details.
+ *
+ * @param {Array} schemas  - bucket schemas: {name, index, pre, post, options}
+ * @param {Object} opts    - "reindexCount", "onProgress", and "options" (for
+ *                           each request)
+ * @param {Function} cb    - callback, invoked with a result for each bucket
+ */
+MorayClient.prototype.migrateBuckets = function migrateBuckets(schemas, opts,
+    cb) {
+    assert.arrayOfObject(schemas, 'schemas');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    mod_migrate.migrateBuckets(this, schemas, opts, cb);
+};
+
 /**
  * Idempotently Creates or Replaces an Object.
  *
@@ -742,9 +1313,39 @@ MorayClient.prototype.getObject = function getObject(b, k, opts, cb) {
         });
     }
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx)
-        objects.getObject(rpcctx, b, k, opts, this.makeReleaseCb(rpcctx, cb));
+    this.ctxRunWithRetry('getObject', cb, function (rpcctx, callback) {
+        objects.getObject(rpcctx, b, k, opts, callback);
+    });
+};
+
+
+/**
+ * Read-modify-write of an Object: fetches the object, computes its new value
+ * by calling mutator(value, object), and writes it back conditional on the
+ * object's etag, starting over (with backoff) if the write fails with an etag
+ * conflict.  See lib/update_object.js for details.
+ *
+ * @param {String} b         - Bucket name
+ * @param {String} k         - Key name
+ * @param {Function} mutator - returns the object's new value
+ * @param {Object} opts      - "maxRetries", "createIfMissing", and "options"
+ *                             (for each getObject and putObject request)
+ * @param {Function} cb      - callback, invoked with an object containing the
+ *                             written "object" and the number of "attempts"
+ */
+MorayClient.prototype.updateObject =
+    function updateObject(b, k, mutator, opts, cb) {
+    assert.string(b, 'bucket');
+    assert.string(k, 'key');
+    assert.func(mutator, 'mutator');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    mod_update_object.updateObject(this, b, k, mutator, opts, cb);
 };
 
 
@@ -781,6 +1382,15 @@ MorayClient.prototype.delObject = MorayClient.prototype.deleteObject;
  *
  * See https://mo.joyent.com/docs/moray/master/#FindObjects for more info.
  *
+ * The returned EventEmitter has an abort() method that stops the request, after
+ * which it emits 'error' with a RequestAbortedError.  Alternatively, callers
+ * may pass an AbortSignal as the "signal" option.
+ *
+ * If the client was created with the "validateFilters" option, the filter is
+ * validated before the request is sent, and if it's malformed, the returned
+ * EventEmitter emits 'error' with an InvalidFilterError.  Otherwise, the
+ * filter is left for the server to check.
+ *
  * @param {String} b      - Bucket name
  * @param {String} f      - Object filter
  * @param {Object} opts   - request parameters
@@ -791,22 +1401,135 @@ MorayClient.prototype.findObjects = function findObjects(b, f, opts) {
     assert.string(f, 'filter');
     assert.optionalObject(opts, 'options');
 
+    var filterErr = this.checkFilter('findObjects', b, f);
+    if (filterErr !== null)
+        return (emitError(filterErr));
+
     opts = jsprim.mergeObjects(opts, null, {
         requireIndexes: this.requireIndexes,
         requireOnlineReindexing: this.requireOnlineReindexing
     });
 
+    /* The signal is not sent to the server. */
+    var signal = opts.signal;
+    delete (opts.signal);
+
     var rpcctx = this.ctxCreateForEmitter();
     if (rpcctx) {
         var rv = objects.findObjects(rpcctx, b, f, opts);
         this.releaseWhenDone(rpcctx, rv);
+        if (signal)
+            abortOnSignal(signal, rv);
         return (rv);
     }
-    return (emitUnavailable());
+    return (emitUnavailable(this));
 };
 MorayClient.prototype.find = MorayClient.prototype.findObjects;
 
 
+/**
+ * Returns a Readable stream (in object mode) of all objects matching a filter,
+ * fetched in pages using findObjects.  See lib/scan.js for details.
+ *
+ * @param {String} b      - Bucket name
+ * @param {String} f      - Object filter
+ * @param {Object} opts   - scan parameters: "pageSize", "orderBy",
+ *                          "startAfter", "maxRetries", and "options" (for
+ *                          each findObjects request)
+ * @return {Readable}     - stream of objects, which also emits 'progress'
+ */
+MorayClient.prototype.scanObjects = function scanObjects(b, f, opts) {
+    assert.string(b, 'bucket');
+    assert.string(f, 'filter');
+    assert.optionalObject(opts, 'options');
+
+    opts = opts || {};
+    return (new MorayObjectScanner({
+        'client': this,
+        'bucket': b,
+        'filter': f,
+        'pageSize': opts.pageSize,
+        'orderBy': opts.orderBy,
+        'startAfter': opts.startAfter,
+        'maxRetries': opts.maxRetries,
+        'options': opts.options
+    }));
+};
+
+
+/**
+ * Returns a Readable stream (in object mode) of changes to the objects in a
+ * bucket that match a filter, found by repeatedly scanning for objects written
+ * since the last change and optionally woken up by notifications.  See
+ * lib/watch.js for details.
+ *
+ * @param {String} b      - Bucket name
+ * @param {String} f      - Object filter
+ * @param {Object} opts   - "since" (a cursor from a previous change),
+ *                          "channel", "pollInterval", "pageSize", and
+ *                          "options" (for each request)
+ * @return {Readable}     - stream of changes, which also emits 'poll'
+ */
+MorayClient.prototype.watchBucket = function watchBucket(b, f, opts) {
+    assert.string(b, 'bucket');
+    assert.string(f, 'filter');
+    assert.optionalObject(opts, 'options');
+
+    opts = opts || {};
+    return (new MorayBucketWatcher({
+        'client': this,
+        'bucket': b,
+        'filter': f,
+        'since': opts.since,
+        'channel': opts.channel,
+        'pollInterval': opts.pollInterval,
+        'pageSize': opts.pageSize,
+        'options': opts.options
+    }));
+};
+
+
+/**
+ * Returns a Readable stream of newline-delimited JSON describing a bucket's
+ * configuration and all of its objects.  See lib/export.js for the format.
+ *
+ * @param {String} b      - Bucket name
+ * @param {Object} opts   - "filter", "pageSize", "gzip" (if true, the stream
+ *                          is gzip-compressed), and "options" (for each
+ *                          getBucket and findObjects request)
+ * @return {Readable}     - export stream, which also emits 'progress'
+ */
+MorayClient.prototype.exportBucket = function exportBucket(b, opts) {
+    var exporter, gzip;
+
+    assert.string(b, 'bucket');
+    assert.optionalObject(opts, 'options');
+    opts = opts || {};
+    assert.optionalBool(opts.gzip, 'options.gzip');
+
+    exporter = new MorayBucketExporter({
+        'client': this,
+        'bucket': b,
+        'filter': opts.filter,
+        'pageSize': opts.pageSize,
+        'options': opts.options
+    });
+
+    if (!opts.gzip) {
+        return (exporter);
+    }
+
+    gzip = zlib.createGzip();
+    exporter.on('error', function (err) {
+        gzip.emit('error', err);
+    });
+    exporter.on('progress', function (progress) {
+        gzip.emit('progress', progress);
+    });
+    return (exporter.pipe(gzip));
+};
+
+
 /**
  * Idempotently Creates or Replaces a set of Object.
  *
@@ -831,6 +1554,60 @@ MorayClient.prototype.batch = function batch(requests, opts, cb) {
 };
 
 
+/**
+ * Returns a builder for a set of batch operations, which are validated as
+ * they're added and executed with exec().  See lib/batch_builder.js.
+ *
+ * @param {Object} opts - "atomic" (default true), "maxOperations" (per
+ *                        transaction), and "options" (for each batch request)
+ * @return {MorayBatchBuilder}
+ */
+MorayClient.prototype.batchBuilder = function batchBuilder(opts) {
+    assert.optionalObject(opts, 'options');
+
+    opts = opts || {};
+    return (new MorayBatchBuilder({
+        'client': this,
+        'atomic': opts.atomic,
+        'maxOperations': opts.maxOperations,
+        'options': opts.options
+    }));
+};
+
+
+/**
+ * Loads objects into a bucket from a stream of newline-delimited JSON records
+ * of the form {"key": ..., "value": ...}, using concurrent batch requests.  See
+ * lib/bulk_load.js for details.
+ *
+ * @param {String} b        - Bucket name
+ * @param {Readable} input  - input stream
+ * @param {Object} opts     - "batchSize", "concurrency", "skipLines",
+ *                            "maxErrors", "maxRetries", and "options" (for
+ *                            each batch request)
+ * @return {EventEmitter}   - emits 'recordError', 'checkpoint', 'progress',
+ *                            'end', and 'error'
+ */
+MorayClient.prototype.bulkLoad = function bulkLoad(b, input, opts) {
+    assert.string(b, 'bucket');
+    assert.object(input, 'input');
+    assert.optionalObject(opts, 'options');
+
+    opts = opts || {};
+    return (new MorayBulkLoader({
+        'client': this,
+        'bucket': b,
+        'input': input,
+        'batchSize': opts.batchSize,
+        'concurrency': opts.concurrency,
+        'skipLines': opts.skipLines,
+        'maxErrors': opts.maxErrors,
+        'maxRetries': opts.maxRetries,
+        'options': opts.options
+    }));
+};
+
+
 /**
  * Updates a set of object attributes.
  *
@@ -853,6 +1630,12 @@ MorayClient.prototype.updateObjects = function update(b, f, f2, opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
+    var filterErr = this.checkFilter('updateObjects', b, f2);
+    if (filterErr !== null) {
+        setImmediate(cb, filterErr);
+        return;
+    }
+
     var rpcctx = this.ctxCreateForCallback(cb);
     if (rpcctx)
         objects.updateObjects(rpcctx, b, f, f2, opts,
@@ -880,6 +1663,12 @@ MorayClient.prototype.deleteMany = function deleteMany(b, f, opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
+    var filterErr = this.checkFilter('deleteMany', b, f);
+    if (filterErr !== null) {
+        setImmediate(cb, filterErr);
+        return;
+    }
+
     var rpcctx = this.ctxCreateForCallback(cb);
     if (rpcctx)
         objects.deleteMany(rpcctx, b, f, opts, this.makeReleaseCb(rpcctx, cb));
@@ -914,6 +1703,48 @@ MorayClient.prototype.reindexObjects = function reindexObjects(b, c, opts, cb) {
 };
 
 
+/**
+ * Reindexes all of a bucket's objects by invoking reindexObjects() until no
+ * objects remain to be reindexed, adapting the number of objects per request
+ * to the server's latency and retrying after transient errors.  See
+ * lib/reindex.js for details.
+ *
+ * Returns a handle with pause(), resume(), and stats() methods.
+ *
+ * @param {String} b    - Bucket name
+ * @param {Object} opts - "batchSize", "maxBatchSize", "targetLatency",
+ *                        "concurrency", "maxRate", "maxRetries", "onProgress",
+ *                        and "options" (for each request)
+ * @param {Function} cb - callback, invoked with final stats
+ */
+MorayClient.prototype.reindexBucket = function reindexBucket(b, opts, cb) {
+    var reindexer;
+
+    assert.string(b, 'bucket');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    reindexer = new MorayBucketReindexer({
+        'client': this,
+        'bucket': b,
+        'batchSize': opts.batchSize,
+        'maxBatchSize': opts.maxBatchSize,
+        'targetLatency': opts.targetLatency,
+        'concurrency': opts.concurrency,
+        'maxRate': opts.maxRate,
+        'maxRetries': opts.maxRetries,
+        'onProgress': opts.onProgress,
+        'options': opts.options
+    });
+    reindexer.start(cb);
+    return (reindexer);
+};
+
+
 /*
  * Gets the set of tokens from moray.
  *
@@ -930,9 +1761,9 @@ MorayClient.prototype.getTokens = function getTokens(opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx)
-        tokens.getTokens(rpcctx, opts, this.makeReleaseCb(rpcctx, cb));
+    this.ctxRunWithRetry('getTokens', cb, function (rpcctx, callback) {
+        tokens.getTokens(rpcctx, opts, callback);
+    });
 };
 
 
@@ -957,9 +1788,9 @@ MorayClient.prototype.ping = function _ping(opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx)
-        meta.ping(rpcctx, opts, this.makeReleaseCb(rpcctx, cb));
+    this.ctxRunWithRetry('ping', cb, function (rpcctx, callback) {
+        meta.ping(rpcctx, opts, callback);
+    });
 };
 
 /**
@@ -979,9 +1810,9 @@ MorayClient.prototype.versionInternal = function _version(opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx)
-        meta.versionInternal(rpcctx, opts, this.makeReleaseCb(rpcctx, cb));
+    this.ctxRunWithRetry('version', cb, function (rpcctx, callback) {
+        meta.versionInternal(rpcctx, opts, callback);
+    });
 };
 
 /**
@@ -995,6 +1826,9 @@ MorayClient.prototype.versionInternal = function _version(opts, cb) {
  * "serial" tables, et al, in the database (like UFDS changelog).  You
  * absolutely do not ever need to use this if put/get/del/find works for you.
  *
+ * As with findObjects(), the returned EventEmitter has an abort() method, and
+ * callers may pass an AbortSignal as the "signal" option.
+ *
  * @param {String} stmt   - SQL Statement
  * @param {Array} vals    - Values (if SQL statement has $1 etc. in it)
  * @param {Object} opts   - Request Options
@@ -1034,26 +1868,48 @@ MorayClient.prototype.sql = function _sql(stmt, vals, opts) {
     if (rpcctx) {
         rv = meta.sql(rpcctx, stmt, vals, opts);
         this.releaseWhenDone(rpcctx, rv);
+        if (opts.signal)
+            abortOnSignal(opts.signal, rv);
         return (rv);
     }
-    return (emitUnavailable());
+    return (emitUnavailable(this));
 };
 
 
 /**
  * Listens on the given channel for Postgresql notifications.
  *
+ * With the "resubscribe" option, the returned stream re-issues the request on
+ * another connection when the subscription is lost to a transient failure,
+ * emitting 'gap' and 'reconnected' so that the caller can catch up on
+ * notifications that may have been missed (see lib/listener.js).
+ *
  * @param {String} channel - Notification channel to listen on
  * @param {Object} opts    - Request Options
  * @return {EventEmitter} - listen for 'notification', 'end' and 'error'
  */
 MorayClient.prototype.listen = function _listen(channel, opts) {
-    var rv;
+    var self = this;
+    var rv, listenOpts;
 
     opts = opts || {};
 
     assert.string(channel, 'channel');
     assert.object(opts, 'opts');
+    assert.optionalBool(opts.resubscribe, 'opts.resubscribe');
+
+    if (opts.resubscribe) {
+        listenOpts = jsprim.deepCopy(opts);
+        delete (listenOpts.resubscribe);
+        return (new MorayListener({
+            'client': this,
+            'channel': channel,
+            'options': listenOpts,
+            'isClosing': function () {
+                return (self.closeState != MORAY_CS_OPEN);
+            }
+        }));
+    }
 
     var rpcctx = this.ctxCreateForEmitter();
     if (rpcctx) {
@@ -1062,35 +1918,71 @@ MorayClient.prototype.listen = function _listen(channel, opts) {
         return (rv);
     }
 
-    return (emitUnavailable());
+    return (emitUnavailable(this));
 };
 
 
 /**
- * Notify this channel with this payload.
+ * Subscribes to notifications on any number of channels.  See lib/pubsub.js.
+ *
+ * @param {Object} channels - Handler function (or null) for each channel
+ * @param {Object} opts     - Options ("decode") and listen() request options
+ * @return {MoraySubscription} - listen for 'message', 'gap', 'reconnected',
+ *                               'end', and 'error'
+ */
+MorayClient.prototype.subscribe = function _subscribe(channels, opts) {
+    var listenOpts;
+
+    opts = opts || {};
+
+    assert.object(channels, 'channels');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.decode, 'opts.decode');
+
+    listenOpts = jsprim.deepCopy(opts);
+    delete (listenOpts.decode);
+    return (new mod_pubsub.MoraySubscription({
+        'client': this,
+        'channels': channels,
+        'decode': opts.decode,
+        'options': listenOpts
+    }));
+};
+
+
+/**
+ * Notify this channel with this payload.  Strings are sent as-is, and other
+ * payloads are sent JSON-encoded, marked so that subscribers decode only them.
+ * See encodePayload() in lib/pubsub.js.
  *
  * @param {String} channel - Notification channel to listen on
- * @param {String} payload - Notification payload to send
+ * @param {Any} payload    - Notification payload to send
  * @param {Object} opts    - Request Options
  * @param {Function} cb    - cb(err)
  */
 MorayClient.prototype.notify = function _notify(channel, payload, opts, cb) {
+    var encoded;
+
     assert.string(channel, 'channel');
-    assert.string(payload, 'payload');
 
     if (typeof (opts) === 'function') {
         cb = opts;
         opts = {};
     }
 
+    assert.object(opts, 'opts');
     assert.func(cb, 'cb');
 
+    encoded = mod_pubsub.encodePayload(channel, payload);
+    if (encoded instanceof Error) {
+        setImmediate(cb, encoded);
+        return;
+    }
+
     var rpcctx = this.ctxCreateForCallback(cb);
     if (rpcctx) {
-        meta.notify(rpcctx, channel, payload, opts,
+        meta.notify(rpcctx, channel, encoded, opts,
             this.makeReleaseCb(rpcctx, cb));
-    } else {
-        cb(emitUnavailable());
     }
 };
 
@@ -1121,16 +2013,169 @@ function MorayRpcContext(args) {
     this.mc_id = args.id;
     this.mc_conn = args.connection;
     this.mc_moray = args.morayClient;
+    this.mc_aborted = false;    /* caller has aborted this request */
+    this.mc_started = process.hrtime(); /* when the context was created */
+    this.mc_reqid = null;       /* request id used for logging, if known */
+    this.mc_rpcmethod = null;   /* most recently issued RPC method */
+    this.mc_bucket = null;      /* bucket for that RPC, if any */
+    this.mc_filter = null;      /* filter for that RPC, if any */
+    this.mc_slow_timer = null;  /* timer for reporting slow requests */
+    this.mc_nrecords = 0;       /* records received for current request */
+
+    /*
+     * Outstanding Fast requests.  Each entry has properties "req" (the Fast
+     * request), "rpcmethod", and "start" (the hrtime when it was issued).
+     */
+    this.mc_fastreqs = [];
 }
 
 MorayRpcContext.prototype.fastClient = function fastClient() {
     return (this.mc_conn.connection().fastClient());
 };
 
+/*
+ * Invoked by rpc.rpcCommon() when a Fast request is issued on this context and
+ * when that request completes (with error "err", if it failed).  These allow
+ * abort() to abandon the request, allow the pool to track the outcome and
+ * latency of requests to each backend, and record what the request is doing
+ * (including "details" from rpc.requestDetails()) for debugging.  Most
+ * contexts are used for a single Fast request at a time, but some (e.g.,
+ * listen(), whose unlisten() uses the same context) may have more than one.
+ */
+MorayRpcContext.prototype.rpcStart =
+    function rpcStart(req, rpcmethod, details) {
+    assert.object(req, 'req');
+    assert.string(rpcmethod, 'rpcmethod');
+    assert.object(details, 'details');
+    assert.strictEqual(this.fastReqIndex(req), -1);
+    this.mc_rpcmethod = rpcmethod;
+    this.mc_bucket = details.bucket;
+    this.mc_filter = details.filter;
+    this.mc_fastreqs.push({
+        'req': req,
+        'rpcmethod': rpcmethod,
+        'start': process.hrtime()
+    });
+    if (this.mc_aborted) {
+        req.abandon();
+    }
+};
+
+MorayRpcContext.prototype.rpcDone = function rpcDone(req, err) {
+    var i = this.fastReqIndex(req);
+    var entry, latency;
+
+    assert.ok(i != -1);
+    entry = this.mc_fastreqs[i];
+    this.mc_fastreqs.splice(i, 1);
+
+    latency = jsprim.hrtimeMillisec(process.hrtime(entry.start));
+
+    /*
+     * Requests abandoned by the caller say nothing about the backend.
+     */
+    if (!this.mc_aborted) {
+        this.mc_moray.pool.connRecord(this.mc_conn, entry.rpcmethod,
+            err || null, latency);
+    } else if (err) {
+        err = new VError({
+            'name': 'RequestAbortedError',
+            'cause': err
+        }, 'request aborted by caller');
+    }
+
+    if (this.mc_moray.metrics !== null) {
+        this.mc_moray.metrics.requestDone(entry.rpcmethod, err || null,
+            latency, this.mc_nrecords);
+    }
+    this.mc_nrecords = 0;
+};
+
+/*
+ * Invoked by RPC implementations for each record received (for RPCs that
+ * return records to the caller, like findObjects()).
+ */
+MorayRpcContext.prototype.recordReceived = function recordReceived() {
+    this.mc_nrecords++;
+};
+
+/*
+ * Invoked by RPC implementations that send object value "value" with RPC
+ * method "rpcmethod" (for metrics).
+ */
+MorayRpcContext.prototype.valueSent = function valueSent(rpcmethod, value) {
+    if (this.mc_moray.metrics !== null) {
+        this.mc_moray.metrics.valueSent(rpcmethod, value);
+    }
+};
+
+MorayRpcContext.prototype.fastReqIndex = function fastReqIndex(req) {
+    var i;
+
+    for (i = 0; i < this.mc_fastreqs.length; i++) {
+        if (this.mc_fastreqs[i].req === req) {
+            return (i);
+        }
+    }
+
+    return (-1);
+};
+
+/*
+ * Aborts the request associated with this context.  Any outstanding Fast
+ * request is abandoned (which causes it to fail with a RequestAbortedError),
+ * and RPC implementations stop processing data for it.  Note that abandonment
+ * is purely client-side: the server may still complete the request.
+ */
+MorayRpcContext.prototype.abort = function abort() {
+    if (this.mc_aborted) {
+        return;
+    }
+
+    this.mc_aborted = true;
+    this.mc_fastreqs.slice(0).forEach(function (entry) {
+        entry.req.abandon();
+    });
+};
+
+/*
+ * Returns a summary of this request for debugging (see client.getStats()).
+ */
+MorayRpcContext.prototype.summary = function summary() {
+    return ({
+        'id': this.mc_id,
+        'method': this.mc_rpcmethod,
+        'bucket': this.mc_bucket,
+        'filter': this.mc_filter,
+        'req_id': this.mc_reqid,
+        'backend': this.mc_conn.backend(),
+        'ageMs': jsprim.hrtimeMillisec(process.hrtime(this.mc_started)),
+        'aborted': this.mc_aborted
+    });
+};
+
+MorayRpcContext.prototype.aborted = function aborted() {
+    return (this.mc_aborted);
+};
+
 MorayRpcContext.prototype.socketAddrs = function socketAddrs() {
     return (this.mc_conn.connection().socketAddrs());
 };
 
+MorayRpcContext.prototype.methodTimeout = function methodTimeout(method) {
+    assert.string(method, 'method');
+    return (this.mc_moray.timeouts.hasOwnProperty(method) ?
+        this.mc_moray.timeouts[method] : undefined);
+};
+
+MorayRpcContext.prototype.defaultTimeout = function defaultTimeout() {
+    return (this.mc_moray.defaultTimeout);
+};
+
+MorayRpcContext.prototype.triggerMode = function triggerMode() {
+    return (this.mc_moray.triggerMode);
+};
+
 MorayRpcContext.prototype.unwrapErrors = function unwrapErrors() {
     assert.bool(this.mc_moray.unwrapErrors);
     return (this.mc_moray.unwrapErrors);
@@ -1146,6 +2191,7 @@ MorayRpcContext.prototype.createLog = function createLog(options) {
         reqid = uuidv4();
     }
 
+    this.mc_reqid = reqid;
     return (this.mc_moray.log.child({ 'req_id': reqid }, true));
 };
 
@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2018, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -201,6 +202,12 @@ function parseCliOptions(args) {
     args.clientOptions.failFast = true;
     args.clientOptions.mustCloseBeforeNormalProcessExit = true;
 
+    /*
+     * None of the commands executes bucket triggers, so there's no reason to
+     * evaluate the trigger source that the server returns.
+     */
+    args.clientOptions.triggers = 'string';
+
     /*
      * Perform final validation of the common options.
      */
@@ -0,0 +1,158 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/errors.js: classification of errors reported by the Moray client.
+ *
+ * Errors reported by the server are reconstructed by Fast from their name,
+ * message, and properties, so they can't be identified with "instanceof".
+ * Instead, each kind of error is identified by its name, and an error is of
+ * that kind if any error in its cause chain has that name.  Depending on the
+ * "unwrapErrors" client option, server errors are either reported directly or
+ * wrapped in several layers of Fast and client errors, but either way, the
+ * original error appears in the cause chain, so the functions here behave the
+ * same regardless of "unwrapErrors".  For the same reason, we export
+ * predicates and error names rather than error classes.
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+
+///--- Globals
+
+/*
+ * Names of well-known errors.  Most of these are reported by the server.  The
+ * rest are generated by the client or by Fast.
+ */
+var names = {
+    /* The bucket does not exist. */
+    BucketNotFound: 'BucketNotFoundError',
+    /* The object does not exist. */
+    ObjectNotFound: 'ObjectNotFoundError',
+    /* A conditional operation's "etag" did not match the object's etag. */
+    EtagConflict: 'EtagConflictError',
+    /* A write would violate a unique index. */
+    UniqueAttribute: 'UniqueAttributeError',
+    /* The server could not reach a database it could write to. */
+    NoDatabasePeers: 'NoDatabasePeersError',
+    /* The filter or other query parameters were invalid. */
+    InvalidQuery: 'InvalidQueryError',
+    /* The filter did not reference any usable indexes. */
+    NotIndexed: 'NotIndexedError',
+    /* The database took too long to execute the query. */
+    QueryTimeout: 'QueryTimeoutError',
+    /* The request did not complete within the client-side timeout. */
+    RequestTimeout: 'RequestTimeoutError',
+    /* Fast's own request timeout, wrapped by RequestTimeoutError. */
+    FastTimeout: 'TimeoutError',
+    /* The caller aborted the request. */
+    RequestAborted: 'RequestAbortedError',
+    /* No connection was available to send the request. */
+    NoConnections: 'NoBackendsError',
+    /* The request was made after the client was closed. */
+    ClientClosed: 'ClientClosedError',
+    /* The connection failed while the request was outstanding. */
+    FastTransport: 'FastTransportError',
+    /* The server sent an invalid response. */
+    FastProtocol: 'FastProtocolError'
+};
+
+/*
+ * Errors that indicate that the request was never processed by the database,
+ * so it may be retried whether or not it's idempotent.
+ */
+var retryableNames = [
+    names.NoConnections,
+    names.NoDatabasePeers
+];
+
+/*
+ * Errors that indicate a temporary condition of the client, network, or
+ * server, rather than a problem with the request itself.  The request may or
+ * may not have been processed.
+ */
+var transientNames = retryableNames.concat([
+    names.FastTransport,
+    names.FastProtocol,
+    names.RequestTimeout,
+    names.FastTimeout,
+    names.QueryTimeout
+]);
+
+
+///--- API
+
+/*
+ * Returns true if any error in the cause chain of "err" has the given name.
+ * "err" may be anything (including null or a string), in which case this
+ * returns false unless it's an Error.
+ */
+function hasName(err, name) {
+    assert.string(name, 'name');
+
+    return (err instanceof Error &&
+        VError.findCauseByName(err, name) !== null);
+}
+
+function makePredicate(name) {
+    return (function isError(err) {
+        return (hasName(err, name));
+    });
+}
+
+/*
+ * Returns true if the request that failed with "err" was never processed, so
+ * that retrying it cannot have any effect other than the intended one.  This
+ * is true even for requests that are not idempotent (like putObject() without
+ * an etag, or batch()).
+ */
+function isRetryable(err) {
+    return (retryableNames.some(function (name) {
+        return (hasName(err, name));
+    }));
+}
+
+/*
+ * Returns true if "err" was caused by a condition that's likely to be
+ * temporary (e.g., a connection failure or a timeout).  Unlike isRetryable(),
+ * the request may have been processed, so only idempotent requests should be
+ * retried automatically.
+ */
+function isTransient(err) {
+    return (transientNames.some(function (name) {
+        return (hasName(err, name));
+    }));
+}
+
+
+///--- Exports
+
+module.exports = {
+    names: names,
+    hasName: hasName,
+    isBucketNotFoundError: makePredicate(names.BucketNotFound),
+    isObjectNotFoundError: makePredicate(names.ObjectNotFound),
+    isEtagConflictError: makePredicate(names.EtagConflict),
+    isUniqueAttributeError: makePredicate(names.UniqueAttribute),
+    isNoDatabasePeersError: makePredicate(names.NoDatabasePeers),
+    isInvalidQueryError: makePredicate(names.InvalidQuery),
+    isNotIndexedError: makePredicate(names.NotIndexed),
+    isRequestAbortedError: makePredicate(names.RequestAborted),
+    isNoConnectionsError: makePredicate(names.NoConnections),
+    isClientClosedError: makePredicate(names.ClientClosed),
+    isTimeoutError: function isTimeoutError(err) {
+        return (hasName(err, names.RequestTimeout) ||
+            hasName(err, names.FastTimeout) ||
+            hasName(err, names.QueryTimeout));
+    },
+    isRetryable: isRetryable,
+    isTransient: isTransient
+};
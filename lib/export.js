@@ -0,0 +1,218 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/export.js: export of a bucket's configuration and contents as
+ * newline-delimited JSON.
+ *
+ * The exporter is a Readable stream of text.  The first line describes the
+ * bucket:
+ *
+ *     {"bucket":{"name":...,"index":...,"pre":[...],"post":[...],
+ *         "options":...,"mtime":...}}
+ *
+ * where "pre" and "post" contain the source of each trigger function.  Each
+ * following line describes one object:
+ *
+ *     {"key":...,"value":...,"_id":...,"_etag":...,"_mtime":...}
+ *
+ * Objects are fetched with scanObjects() (so the export is not a consistent
+ * snapshot if the bucket is being modified) in order of "_id".  Since each
+ * object line has "key" and "value" properties, an export can be loaded into
+ * a bucket using bulkLoad(), which skips the bucket line.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     client       MorayClient used for getBucket() and scanObjects()
+ *     (object)
+ *
+ *     bucket       name of the bucket to export
+ *     (string)
+ *
+ *     filter       optional filter for the objects to export (default:
+ *     (string)     all objects)
+ *
+ *     pageSize     number of objects to request at once (see scanObjects())
+ *     (number)
+ *
+ *     options      options for each getBucket() and findObjects() request
+ *     (object)     (e.g., "timeout")
+ *
+ * In addition to the usual Readable events, the exporter emits "progress"
+ * after each page of objects with an object with properties "records" (the
+ * number of objects exported so far) and "pages".  Objects from a page may be
+ * exported after its "progress" event (if the consumer is slow), so "progress"
+ * is emitted once more with the final counts after the last object.
+ */
+function MorayBucketExporter(args) {
+    assert.object(args, 'args');
+    assert.object(args.client, 'args.client');
+    assert.string(args.bucket, 'args.bucket');
+    assert.optionalString(args.filter, 'args.filter');
+    assert.optionalNumber(args.pageSize, 'args.pageSize');
+    assert.optionalObject(args.options, 'args.options');
+
+    stream.Readable.call(this);
+
+    this.mbe_client = args.client;
+    this.mbe_bucket = args.bucket;
+    this.mbe_filter = args.filter || '(_id>=0)';
+    this.mbe_pagesize = args.pageSize;
+    this.mbe_options = args.options || {};
+
+    this.mbe_started = false;   /* the bucket has been requested */
+    this.mbe_scanner = null;    /* object scanner, once the bucket is written */
+    this.mbe_nrecords = 0;      /* objects exported */
+    this.mbe_npages = 0;        /* pages fetched by the scanner */
+}
+
+util.inherits(MorayBucketExporter, stream.Readable);
+
+MorayBucketExporter.prototype._read = function _read() {
+    if (!this.mbe_started) {
+        this.mbe_started = true;
+        this.start();
+    } else if (this.mbe_scanner !== null) {
+        this.mbe_scanner.resume();
+    }
+};
+
+MorayBucketExporter.prototype._destroy = function _destroy(err, callback) {
+    if (this.mbe_scanner !== null) {
+        this.mbe_scanner.destroy();
+    }
+
+    callback(err);
+};
+
+/*
+ * [private] Fetches the bucket's configuration, writes the bucket line, and
+ * starts scanning objects.
+ */
+MorayBucketExporter.prototype.start = function start() {
+    var self = this;
+
+    this.mbe_client.getBucket(this.mbe_bucket, this.mbe_options,
+        function (err, bucket) {
+        if (self.destroyed) {
+            return;
+        }
+
+        if (err) {
+            self.destroy(new VError({
+                'name': 'ExportError',
+                'cause': err,
+                'info': { 'bucket': self.mbe_bucket }
+            }, 'export bucket "%s"', self.mbe_bucket));
+            return;
+        }
+
+        self.push(JSON.stringify({ 'bucket': bucketLine(bucket) }) + '\n');
+        self.scan();
+    });
+};
+
+/*
+ * [private] Writes a line for each object in the bucket.
+ */
+MorayBucketExporter.prototype.scan = function scan() {
+    var self = this;
+    var scanner;
+
+    scanner = this.mbe_client.scanObjects(this.mbe_bucket, this.mbe_filter, {
+        'pageSize': this.mbe_pagesize,
+        'options': this.mbe_options
+    });
+    this.mbe_scanner = scanner;
+
+    scanner.on('data', function onExportRecord(record) {
+        self.mbe_nrecords++;
+        if (!self.push(JSON.stringify({
+            'key': record.key,
+            'value': record.value,
+            '_id': record._id,
+            '_etag': record._etag,
+            '_mtime': record._mtime
+        }) + '\n')) {
+            scanner.pause();
+        }
+    });
+
+    scanner.on('progress', function onExportProgress(progress) {
+        self.mbe_npages = progress.pages;
+        self.emitProgress();
+    });
+
+    scanner.on('end', function onExportEnd() {
+        self.emitProgress();
+        self.push(null);
+    });
+
+    scanner.on('error', function onExportError(err) {
+        self.destroy(new VError({
+            'name': 'ExportError',
+            'cause': err,
+            'info': {
+                'bucket': self.mbe_bucket,
+                'records': self.mbe_nrecords
+            }
+        }, 'export bucket "%s"', self.mbe_bucket));
+    });
+};
+
+/*
+ * [private] Emits "progress" with the current counts.
+ */
+MorayBucketExporter.prototype.emitProgress = function emitProgress() {
+    this.emit('progress', {
+        'records': this.mbe_nrecords,
+        'pages': this.mbe_npages
+    });
+};
+
+
+///--- Helpers
+
+/*
+ * Returns the bucket line for the parsed bucket configuration "bucket" (as
+ * returned by getBucket()).
+ */
+function bucketLine(bucket) {
+    function functorSource(f) {
+        return (f.toString());
+    }
+
+    return ({
+        'name': bucket.name,
+        'index': bucket.index,
+        'pre': bucket.pre.map(functorSource),
+        'post': bucket.post.map(functorSource),
+        'options': bucket.options,
+        'mtime': bucket.mtime.toISOString()
+    });
+}
+
+
+///--- Exports
+
+module.exports = {
+    MorayBucketExporter: MorayBucketExporter
+};
@@ -0,0 +1,1055 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/fake_server.js: an in-memory, in-process Moray server for use in
+ * consumers' test suites.  The server speaks the Fast protocol on a local TCP
+ * port, so a regular MorayClient can be pointed at it with the "host" and
+ * "port" constructor options.  Nothing is persisted: all state lives in memory
+ * and is discarded when the server is closed (or reset()).
+ *
+ * The following RPCs are implemented:
+ *
+ *     createBucket, getBucket, listBuckets, updateBucket, delBucket
+ *     putObject, getObject, delObject, findObjects, batch, updateObjects,
+ *     deleteMany, reindexObjects, getTokens, ping, version
+ *
+ * This is not a complete implementation of Moray.  It's intended to be
+ * faithful in the areas where consumers' code most often depends on server
+ * behavior:
+ *
+ *     o Filters are parsed and evaluated the way Moray does, with comparisons
+ *       on indexed fields using the index type (so that, e.g., "(n>=10)" on a
+ *       "number" index compares numerically).  As with Moray, a filter must
+ *       reference at least one indexed field.  The "requireIndexes" and
+ *       "requireOnlineReindexing" options are acknowledged.
+ *
+ *     o Objects carry "_id", "_etag", and "_mtime".  Conditional puts and
+ *       deletes ("etag" option) fail with EtagConflictError when the etag
+ *       doesn't match, and an etag of null means the object must not exist.
+ *       In buckets with the "trackModification" option, every write assigns
+ *       the object a new "_id".
+ *
+ *     o Operations on a bucket that doesn't exist fail with
+ *       BucketNotFoundError, and fetching or deleting an object that doesn't
+ *       exist fails with ObjectNotFoundError.  Unique indexes are enforced
+ *       with UniqueAttributeError.
+ *
+ *     o Batches are atomic: if any operation fails, none of them is applied.
+ *
+ *     o Adding indexes with updateBucket() to a bucket that already contains
+ *       objects marks those indexes as being reindexed ("reindex_active")
+ *       until reindexObjects() has processed all of the existing objects.
+ *
+ * Pre- and post-triggers are stored and returned with the bucket, but never
+ * executed.  The "sql", "listen", and "unlisten" RPCs are not supported.
+ */
+
+var crypto = require('crypto');
+var net = require('net');
+
+var assert = require('assert-plus');
+var fast = require('fast');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+var mod_filter = require('./filter');
+
+
+///--- Globals
+
+var FMS_DEFAULT_LIMIT = 1000;
+
+/* Moray's restrictions on bucket names */
+var FMS_BUCKET_NAME_RE = /^[a-zA-Z]\w{0,62}$/;
+
+var FMS_INDEX_TYPES = [
+    'string', 'number', 'boolean', 'ip', 'subnet',
+    '[string]', '[number]', '[boolean]', '[ip]', '[subnet]'
+];
+
+/* Internal fields that can always be used in filters, and their types */
+var FMS_INTERNAL_FIELDS = {
+    '_id': 'number',
+    '_key': 'string',
+    '_etag': 'string',
+    '_mtime': 'number'
+};
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     log          bunyan-style logger
+ *     (object)
+ *
+ *     port         TCP port on which to listen.  The default (0) selects an
+ *     (number)     ephemeral port, which can be found with address() after
+ *                  start() completes.
+ *
+ *     host         IP address on which to listen (default: "127.0.0.1")
+ *     (string)
+ *
+ *     collector    optional artedi-style metric collector for the Fast server
+ *     (object)
+ *
+ *     version      server version reported by the "version" RPC (default: 2)
+ *     (number)
+ */
+function FakeMorayServer(args) {
+    assert.object(args, 'args');
+    assert.object(args.log, 'args.log');
+    assert.optionalNumber(args.port, 'args.port');
+    assert.optionalString(args.host, 'args.host');
+    assert.optionalObject(args.collector, 'args.collector');
+    assert.optionalNumber(args.version, 'args.version');
+
+    this.fms_log = args.log;
+    this.fms_port = args.port || 0;
+    this.fms_host = args.host || '127.0.0.1';
+    this.fms_collector = args.collector || null;
+    this.fms_version = args.version || 2;
+
+    this.fms_socket = null;     /* listening net.Server */
+    this.fms_fast = null;       /* fast.FastServer */
+    this.fms_buckets = {};      /* bucket state, by name (see bucketCreate) */
+    this.fms_nextid = 1;        /* next "_id" to assign */
+}
+
+/*
+ * Begin listening for connections.  "callback" is invoked as callback(err)
+ * once the server is ready.
+ */
+FakeMorayServer.prototype.start = function start(callback) {
+    var self = this;
+    var fastArgs;
+
+    assert.func(callback, 'callback');
+    assert.ok(this.fms_socket === null, 'server already started');
+
+    this.fms_socket = net.createServer({ 'allowHalfOpen': true });
+    fastArgs = {
+        'log': this.fms_log,
+        'server': this.fms_socket
+    };
+    if (this.fms_collector !== null) {
+        fastArgs.collector = this.fms_collector;
+    }
+    this.fms_fast = new fast.FastServer(fastArgs);
+
+    [
+        [ 'createBucket', this.rpcCreateBucket ],
+        [ 'getBucket', this.rpcGetBucket ],
+        [ 'listBuckets', this.rpcListBuckets ],
+        [ 'updateBucket', this.rpcUpdateBucket ],
+        [ 'delBucket', this.rpcDelBucket ],
+        [ 'putObject', this.rpcPutObject ],
+        [ 'getObject', this.rpcGetObject ],
+        [ 'delObject', this.rpcDelObject ],
+        [ 'findObjects', this.rpcFindObjects ],
+        [ 'batch', this.rpcBatch ],
+        [ 'updateObjects', this.rpcUpdateObjects ],
+        [ 'deleteMany', this.rpcDeleteMany ],
+        [ 'reindexObjects', this.rpcReindexObjects ],
+        [ 'getTokens', this.rpcGetTokens ],
+        [ 'ping', this.rpcPing ],
+        [ 'version', this.rpcVersion ]
+    ].forEach(function (entry) {
+        var method = entry[1];
+        self.fms_fast.registerRpcMethod({
+            'rpcmethod': entry[0],
+            'rpchandler': function fakeRpcHandler(rpc) {
+                method.call(self, rpc);
+            }
+        });
+    });
+
+    function onError(err) {
+        self.fms_socket.removeListener('listening', onListening);
+        callback(new VError(err, 'fake moray server: listen'));
+    }
+
+    function onListening() {
+        self.fms_socket.removeListener('error', onError);
+        self.fms_log.info(self.address(), 'fake moray server listening');
+        callback();
+    }
+
+    this.fms_socket.once('error', onError);
+    this.fms_socket.once('listening', onListening);
+    this.fms_socket.listen(this.fms_port, this.fms_host);
+};
+
+/*
+ * Returns the address on which the server is listening as an object with
+ * "host" and "port" properties, suitable for use as MorayClient options.
+ */
+FakeMorayServer.prototype.address = function address() {
+    var addr;
+
+    assert.ok(this.fms_socket !== null, 'server not started');
+    addr = this.fms_socket.address();
+    return ({ 'host': addr.address, 'port': addr.port });
+};
+
+/*
+ * Stop listening, terminate open connections, and discard all state.
+ * "callback" is invoked once all connections have been closed.
+ */
+FakeMorayServer.prototype.close = function close(callback) {
+    var self = this;
+
+    assert.optionalFunc(callback, 'callback');
+    assert.ok(this.fms_socket !== null, 'server not started');
+
+    this.fms_socket.close();
+    this.fms_fast.onConnsDestroyed(function () {
+        self.fms_log.info('fake moray server closed');
+        if (callback) {
+            callback();
+        }
+    });
+    this.fms_fast.close();
+    this.reset();
+};
+
+/*
+ * Discard all buckets and objects.
+ */
+FakeMorayServer.prototype.reset = function reset() {
+    this.fms_buckets = {};
+};
+
+
+///--- RPC handlers
+
+FakeMorayServer.prototype.rpcCreateBucket = function rpcCreateBucket(rpc) {
+    var argv = rpc.argv();
+    var name = argv[0];
+    var cfg = argv[1];
+    var err;
+
+    if (this.fms_buckets.hasOwnProperty(name)) {
+        rpc.fail(new VError({
+            'name': 'BucketConflictError',
+            'info': { 'bucket': name }
+        }, '%s already exists', name));
+        return;
+    }
+
+    if (!FMS_BUCKET_NAME_RE.test(name)) {
+        rpc.fail(new VError({
+            'name': 'InvalidBucketNameError',
+            'info': { 'bucket': name }
+        }, '%s is not a valid bucket name', name));
+        return;
+    }
+
+    err = validateBucketConfig(name, cfg);
+    if (err) {
+        rpc.fail(err);
+        return;
+    }
+
+    this.fms_buckets[name] = bucketCreate(name, cfg);
+    rpc.end();
+};
+
+FakeMorayServer.prototype.rpcGetBucket = function rpcGetBucket(rpc) {
+    var bucket = this.lookupBucket(rpc, rpc.argv()[1]);
+
+    if (bucket !== null) {
+        rpc.end(bucketSerialize(bucket));
+    }
+};
+
+FakeMorayServer.prototype.rpcListBuckets = function rpcListBuckets(rpc) {
+    var self = this;
+
+    Object.keys(this.fms_buckets).sort().forEach(function (name) {
+        rpc.write(bucketSerialize(self.fms_buckets[name]));
+    });
+    rpc.end();
+};
+
+FakeMorayServer.prototype.rpcUpdateBucket = function rpcUpdateBucket(rpc) {
+    var argv = rpc.argv();
+    var bucket = this.lookupBucket(rpc, argv[0]);
+    var cfg = argv[1];
+    var err, oldversion, newversion, added;
+
+    if (bucket === null) {
+        return;
+    }
+
+    err = validateBucketConfig(bucket.name, cfg);
+    if (err) {
+        rpc.fail(err);
+        return;
+    }
+
+    oldversion = bucket.options.version || 0;
+    newversion = (cfg.options || {}).version || 0;
+    if (oldversion !== 0 && newversion <= oldversion) {
+        rpc.fail(new VError({
+            'name': 'BucketVersionError',
+            'info': {
+                'bucket': bucket.name,
+                'version': oldversion,
+                'requestedVersion': newversion
+            }
+        }, '%s has a newer version than %d (%d)', bucket.name, newversion,
+            oldversion));
+        return;
+    }
+
+    added = Object.keys(cfg.index || {}).filter(function (field) {
+        return (!bucket.index.hasOwnProperty(field));
+    });
+
+    bucket.index = jsprim.deepCopy(cfg.index || {});
+    bucket.pre = (cfg.pre || []).slice(0);
+    bucket.post = (cfg.post || []).slice(0);
+    bucket.options = jsprim.deepCopy(cfg.options || {});
+    bucket.mtime = new Date();
+
+    /*
+     * Like Moray, newly added indexes aren't usable until the existing
+     * objects have been reindexed.
+     */
+    if (added.length > 0 && Object.keys(bucket.objects).length > 0) {
+        if (bucket.reindex_active === null) {
+            bucket.reindex_active = {};
+        }
+        bucket.reindex_active[newversion] = added;
+        bucket.reindex_pending = Object.keys(bucket.objects);
+    }
+
+    rpc.end();
+};
+
+FakeMorayServer.prototype.rpcDelBucket = function rpcDelBucket(rpc) {
+    var bucket = this.lookupBucket(rpc, rpc.argv()[0]);
+
+    if (bucket !== null) {
+        delete (this.fms_buckets[bucket.name]);
+        rpc.end();
+    }
+};
+
+FakeMorayServer.prototype.rpcPutObject = function rpcPutObject(rpc) {
+    var argv = rpc.argv();
+    var bucket = this.lookupBucket(rpc, argv[0]);
+    var result;
+
+    if (bucket === null) {
+        return;
+    }
+
+    result = this.objectPut(bucket, argv[1], argv[2], argv[3] || {});
+    if (result instanceof Error) {
+        rpc.fail(result);
+    } else {
+        rpc.end({ 'etag': result._etag });
+    }
+};
+
+FakeMorayServer.prototype.rpcGetObject = function rpcGetObject(rpc) {
+    var argv = rpc.argv();
+    var bucket = this.lookupBucket(rpc, argv[0]);
+    var key = argv[1];
+    var opts = argv[2] || {};
+
+    if (bucket === null) {
+        return;
+    }
+
+    if (!bucket.objects.hasOwnProperty(key)) {
+        rpc.fail(objectNotFoundError(bucket.name, key));
+        return;
+    }
+
+    if (opts.internalOpts && opts.internalOpts.sendHandledOptions) {
+        rpc.write({ '_handledOptions': [ 'requireOnlineReindexing' ] });
+    }
+
+    rpc.end(objectSerialize(bucket, bucket.objects[key]));
+};
+
+FakeMorayServer.prototype.rpcDelObject = function rpcDelObject(rpc) {
+    var argv = rpc.argv();
+    var bucket = this.lookupBucket(rpc, argv[0]);
+    var err;
+
+    if (bucket === null) {
+        return;
+    }
+
+    err = this.objectDelete(bucket, argv[1], argv[2] || {});
+    if (err) {
+        rpc.fail(err);
+    } else {
+        rpc.end();
+    }
+};
+
+FakeMorayServer.prototype.rpcFindObjects = function rpcFindObjects(rpc) {
+    var argv = rpc.argv();
+    var bucket = this.lookupBucket(rpc, argv[0]);
+    var opts = argv[2] || {};
+    var matches, count, offset, limit;
+
+    if (bucket === null) {
+        return;
+    }
+
+    matches = this.objectsMatching(bucket, argv[1], opts);
+    if (matches instanceof Error) {
+        rpc.fail(matches);
+        return;
+    }
+
+    if (opts.internalOpts && opts.internalOpts.sendHandledOptions) {
+        rpc.write({ '_handledOptions': [
+            'requireIndexes', 'requireOnlineReindexing' ] });
+    }
+
+    matches.sort(makeSortComparator(bucket, opts.sort));
+    count = matches.length;
+    offset = opts.offset || 0;
+    limit = opts.limit || FMS_DEFAULT_LIMIT;
+    matches.slice(offset, offset + limit).forEach(function (record) {
+        var obj = objectSerialize(bucket, record);
+        if (!opts.no_count) {
+            obj._count = count;
+        }
+        rpc.write(obj);
+    });
+    rpc.end();
+};
+
+FakeMorayServer.prototype.rpcBatch = function rpcBatch(rpc) {
+    var self = this;
+    var requests = rpc.argv()[0];
+    var saved = {};
+    var etags = [];
+    var i, r, err;
+
+    /*
+     * Batches are atomic, so save the object tables of every bucket we might
+     * modify.  Operations never modify records in place (they replace them),
+     * so a shallow copy of each table is enough to roll back.
+     */
+    function save(bucket) {
+        if (!saved.hasOwnProperty(bucket.name)) {
+            saved[bucket.name] = jsprim.mergeObjects(bucket.objects);
+        }
+    }
+
+    if (!Array.isArray(requests)) {
+        rpc.fail(invalidArgumentError('requests', 'an array'));
+        return;
+    }
+
+    for (i = 0; i < requests.length; i++) {
+        r = requests[i];
+        err = this.batchOperation(r, save, etags);
+        if (err) {
+            Object.keys(saved).forEach(function (name) {
+                self.fms_buckets[name].objects = saved[name];
+            });
+            rpc.fail(err);
+            return;
+        }
+    }
+
+    rpc.end({ 'etags': etags });
+};
+
+FakeMorayServer.prototype.rpcUpdateObjects = function rpcUpdateObjects(rpc) {
+    var argv = rpc.argv();
+    var bucket = this.lookupBucket(rpc, argv[0]);
+    var result;
+
+    if (bucket === null) {
+        return;
+    }
+
+    result = this.objectsUpdate(bucket, argv[1], argv[2], argv[3] || {});
+    if (result instanceof Error) {
+        rpc.fail(result);
+    } else {
+        rpc.end(result);
+    }
+};
+
+FakeMorayServer.prototype.rpcDeleteMany = function rpcDeleteMany(rpc) {
+    var argv = rpc.argv();
+    var bucket = this.lookupBucket(rpc, argv[0]);
+    var result;
+
+    if (bucket === null) {
+        return;
+    }
+
+    result = this.objectsDelete(bucket, argv[1], argv[2] || {});
+    if (result instanceof Error) {
+        rpc.fail(result);
+    } else {
+        rpc.end(result);
+    }
+};
+
+FakeMorayServer.prototype.rpcReindexObjects = function rpcReindexObjects(rpc) {
+    var argv = rpc.argv();
+    var bucket = this.lookupBucket(rpc, argv[0]);
+    var count = argv[1];
+    var processed;
+
+    if (bucket === null) {
+        return;
+    }
+
+    /*
+     * There's no real index to build, so we just account for the objects
+     * that existed when the indexes were added.  As with Moray, a response
+     * with "processed" equal to 0 indicates that reindexing is complete.
+     */
+    processed = bucket.reindex_pending.splice(0, count).length;
+    if (bucket.reindex_pending.length === 0) {
+        bucket.reindex_active = null;
+    }
+
+    rpc.end({ 'processed': processed });
+};
+
+FakeMorayServer.prototype.rpcGetTokens = function rpcGetTokens(rpc) {
+    var addr = this.address();
+    rpc.end([ addr.host + ':' + addr.port ]);
+};
+
+FakeMorayServer.prototype.rpcPing = function rpcPing(rpc) {
+    rpc.end();
+};
+
+FakeMorayServer.prototype.rpcVersion = function rpcVersion(rpc) {
+    rpc.end({ 'version': this.fms_version });
+};
+
+
+///--- Object operations
+
+/*
+ * Looks up the named bucket.  If it doesn't exist, fails the RPC with a
+ * BucketNotFoundError and returns null.
+ */
+FakeMorayServer.prototype.lookupBucket = function lookupBucket(rpc, name) {
+    if (typeof (name) != 'string' || !this.fms_buckets.hasOwnProperty(name)) {
+        rpc.fail(bucketNotFoundError(name));
+        return (null);
+    }
+
+    return (this.fms_buckets[name]);
+};
+
+/*
+ * Stores an object, returning either the new record or an Error.
+ */
+FakeMorayServer.prototype.objectPut = function objectPut(bucket, key, value,
+    opts) {
+    var old, err, record;
+
+    if (typeof (key) != 'string') {
+        return (invalidArgumentError('key', 'a string'));
+    }
+
+    if (typeof (value) != 'object' || value === null) {
+        return (invalidArgumentError('value', 'an object'));
+    }
+
+    old = bucket.objects.hasOwnProperty(key) ? bucket.objects[key] : null;
+    err = checkEtag(bucket, key, old, opts.etag);
+    if (err) {
+        return (err);
+    }
+
+    err = checkUnique(bucket, key, value);
+    if (err) {
+        return (err);
+    }
+
+    record = {
+        'key': key,
+        'value': jsprim.deepCopy(value),
+        '_id': this.objectId(bucket, old),
+        '_etag': computeEtag(value),
+        '_mtime': Date.now()
+    };
+
+    bucket.objects[key] = record;
+    return (record);
+};
+
+/*
+ * Returns the "_id" for a write of an object whose current record is "old"
+ * (or null if the object doesn't exist).
+ */
+FakeMorayServer.prototype.objectId = function objectId(bucket, old) {
+    if (old !== null && !bucket.options.trackModification) {
+        return (old._id);
+    }
+
+    return (this.fms_nextid++);
+};
+
+/*
+ * Removes an object, returning an Error on failure.
+ */
+FakeMorayServer.prototype.objectDelete = function objectDelete(bucket, key,
+    opts) {
+    var old, err;
+
+    if (!bucket.objects.hasOwnProperty(key)) {
+        return (objectNotFoundError(bucket.name, key));
+    }
+
+    old = bucket.objects[key];
+    err = checkEtag(bucket, key, old, opts.etag);
+    if (err) {
+        return (err);
+    }
+
+    delete (bucket.objects[key]);
+    return (null);
+};
+
+/*
+ * Returns an array of the records in "bucket" that match "filterstr", or an
+ * Error if the filter is invalid or unsupported.
+ */
+FakeMorayServer.prototype.objectsMatching = function objectsMatching(bucket,
+    filterstr, opts) {
+    var filter, attrs, types, indexed, unindexed;
+
+    try {
+        filter = mod_filter.parseFilter(filterstr);
+    } catch (ex) {
+        return (new VError({
+            'name': 'InvalidQueryError',
+            'cause': ex,
+            'info': { 'bucket': bucket.name, 'filter': filterstr }
+        }, '%s is an invalid filter', filterstr));
+    }
+
+    types = bucketTypes(bucket);
+    attrs = mod_filter.filterAttributes(filter);
+    indexed = attrs.filter(function (a) {
+        return (types.hasOwnProperty(a) && !bucketReindexing(bucket, a));
+    });
+    unindexed = attrs.filter(function (a) {
+        return (indexed.indexOf(a) == -1);
+    });
+
+    if (indexed.length === 0 ||
+        (opts.requireIndexes && unindexed.length > 0)) {
+        return (new VError({
+            'name': 'NotIndexedError',
+            'info': {
+                'bucket': bucket.name,
+                'filter': filterstr,
+                'unindexedFields': unindexed
+            }
+        }, '%s does not have indexes that support %s. Reindexing fields: ' +
+            '%j. Unindexed fields: %j', bucket.name, filterstr,
+            attrs.filter(function (a) {
+                return (bucketReindexing(bucket, a));
+            }), unindexed));
+    }
+
+    return (Object.keys(bucket.objects).map(function (key) {
+        return (bucket.objects[key]);
+    }).filter(function (record) {
+        return (mod_filter.filterMatches(filter, recordAttrs(record),
+            types));
+    }));
+};
+
+FakeMorayServer.prototype.objectsUpdate = function objectsUpdate(bucket,
+    fields, filterstr, opts) {
+    var self = this;
+    var matches, unindexed, etag, mtime;
+
+    unindexed = Object.keys(fields).filter(function (f) {
+        return (!bucket.index.hasOwnProperty(f));
+    });
+    if (unindexed.length > 0) {
+        return (new VError({
+            'name': 'FieldUpdateError',
+            'info': { 'bucket': bucket.name, 'fields': unindexed }
+        }, 'only indexed fields may be updated (%s)', unindexed.join(', ')));
+    }
+
+    matches = this.objectsMatching(bucket, filterstr, opts);
+    if (matches instanceof Error) {
+        return (matches);
+    }
+
+    if (opts.limit) {
+        matches = matches.slice(0, opts.limit);
+    }
+
+    /*
+     * Like Moray, all updated objects get the same new etag.
+     */
+    etag = computeEtag({ 'fields': fields, 'mtime': process.hrtime() });
+    mtime = Date.now();
+    matches.forEach(function (old) {
+        bucket.objects[old.key] = {
+            'key': old.key,
+            'value': jsprim.mergeObjects(fields, null, old.value),
+            '_id': self.objectId(bucket, old),
+            '_etag': etag,
+            '_mtime': mtime
+        };
+    });
+
+    return ({ 'count': matches.length, 'etag': etag });
+};
+
+FakeMorayServer.prototype.objectsDelete = function objectsDelete(bucket,
+    filterstr, opts) {
+    var matches = this.objectsMatching(bucket, filterstr, opts);
+
+    if (matches instanceof Error) {
+        return (matches);
+    }
+
+    if (opts.limit) {
+        matches = matches.slice(0, opts.limit);
+    }
+
+    matches.forEach(function (record) {
+        delete (bucket.objects[record.key]);
+    });
+
+    return ({ 'count': matches.length });
+};
+
+/*
+ * Executes one operation of a batch.  "save" is invoked with each bucket
+ * before it's modified.  Returns an Error on failure.
+ */
+FakeMorayServer.prototype.batchOperation = function batchOperation(r, save,
+    etags) {
+    var bucket, opts, result;
+
+    if (typeof (r) != 'object' || r === null) {
+        return (invalidArgumentError('batch request', 'an object'));
+    }
+
+    if (!this.fms_buckets.hasOwnProperty(r.bucket)) {
+        return (bucketNotFoundError(r.bucket));
+    }
+
+    bucket = this.fms_buckets[r.bucket];
+    opts = r.options || {};
+    save(bucket);
+
+    switch (r.operation || 'put') {
+    case 'put':
+        result = this.objectPut(bucket, r.key, r.value, opts);
+        if (!(result instanceof Error)) {
+            etags.push({
+                'bucket': bucket.name,
+                'key': r.key,
+                'etag': result._etag
+            });
+        }
+        break;
+
+    case 'delete':
+        result = this.objectDelete(bucket, r.key, opts);
+        break;
+
+    case 'update':
+        result = this.objectsUpdate(bucket, r.fields, r.filter, opts);
+        break;
+
+    case 'deleteMany':
+        result = this.objectsDelete(bucket, r.filter, opts);
+        break;
+
+    default:
+        result = new VError({
+            'name': 'InvalidQueryError',
+            'info': { 'operation': r.operation }
+        }, '%s is an invalid batch operation', r.operation);
+        break;
+    }
+
+    return (result instanceof Error ? result : null);
+};
+
+
+///--- Helpers
+
+function bucketCreate(name, cfg) {
+    return ({
+        'name': name,
+        'index': jsprim.deepCopy(cfg.index || {}),
+        'pre': (cfg.pre || []).slice(0),
+        'post': (cfg.post || []).slice(0),
+        'options': jsprim.deepCopy(cfg.options || {}),
+        'mtime': new Date(),
+        'reindex_active': null,     /* version -> fields being reindexed */
+        'reindex_pending': [],      /* keys of objects awaiting reindex */
+        'objects': {}               /* records, by key */
+    });
+}
+
+/*
+ * Returns the bucket in the form in which Moray sends it over the wire.
+ */
+function bucketSerialize(bucket) {
+    var rv = {
+        'name': bucket.name,
+        'index': JSON.stringify(bucket.index),
+        'pre': JSON.stringify(bucket.pre),
+        'post': JSON.stringify(bucket.post),
+        'options': JSON.stringify(jsprim.mergeObjects(bucket.options, null,
+            { 'version': 0 })),
+        'mtime': bucket.mtime.toISOString()
+    };
+
+    if (bucket.reindex_active !== null) {
+        rv.reindex_active = JSON.stringify(bucket.reindex_active);
+    }
+
+    return (rv);
+}
+
+function bucketReindexing(bucket, field) {
+    if (bucket.reindex_active === null) {
+        return (false);
+    }
+
+    return (Object.keys(bucket.reindex_active).some(function (v) {
+        return (bucket.reindex_active[v].indexOf(field) != -1);
+    }));
+}
+
+/*
+ * Returns a map of filterable field names to index types for "bucket".
+ */
+function bucketTypes(bucket) {
+    var rv = jsprim.mergeObjects(FMS_INTERNAL_FIELDS);
+
+    jsprim.forEachKey(bucket.index, function (field, idx) {
+        rv[field] = idx.type;
+    });
+
+    return (rv);
+}
+
+function validateBucketConfig(name, cfg) {
+    var fields, i, idx;
+
+    if (typeof (cfg) != 'object' || cfg === null) {
+        return (new VError({
+            'name': 'InvalidBucketConfigError',
+            'info': { 'bucket': name }
+        }, 'config must be an object'));
+    }
+
+    fields = Object.keys(cfg.index || {});
+    for (i = 0; i < fields.length; i++) {
+        idx = cfg.index[fields[i]];
+        if (typeof (idx) != 'object' || idx === null ||
+            FMS_INDEX_TYPES.indexOf(idx.type) == -1) {
+            return (new VError({
+                'name': 'InvalidIndexTypeError',
+                'info': { 'bucket': name, 'field': fields[i] }
+            }, 'index(%s) is of invalid type %j', fields[i],
+                idx === null || typeof (idx) != 'object' ? idx : idx.type));
+        }
+    }
+
+    return (null);
+}
+
+/*
+ * Returns the object in the form in which Moray sends it over the wire.
+ */
+function objectSerialize(bucket, record) {
+    return ({
+        'bucket': bucket.name,
+        'key': record.key,
+        'value': jsprim.deepCopy(record.value),
+        '_id': record._id,
+        '_etag': record._etag,
+        '_mtime': record._mtime,
+        '_txn_snap': null
+    });
+}
+
+/*
+ * Returns the attributes against which filters are evaluated for a record.
+ */
+function recordAttrs(record) {
+    return (jsprim.mergeObjects({
+        '_id': record._id,
+        '_key': record.key,
+        '_etag': record._etag,
+        '_mtime': record._mtime
+    }, null, record.value));
+}
+
+function makeSortComparator(bucket, sort) {
+    var sorts, types;
+
+    if (sort === undefined || sort === null) {
+        sorts = [];
+    } else {
+        sorts = Array.isArray(sort) ? sort : [ sort ];
+    }
+
+    sorts = sorts.concat([ { 'attribute': '_id', 'order': 'ASC' } ]);
+    types = bucketTypes(bucket);
+
+    return (function compareRecords(r1, r2) {
+        var i, s, a1, a2, rv;
+
+        for (i = 0; i < sorts.length; i++) {
+            s = sorts[i];
+            a1 = recordAttrs(r1)[s.attribute];
+            a2 = recordAttrs(r2)[s.attribute];
+            rv = compareSortValues(a1, a2, types[s.attribute]);
+            if (rv !== 0) {
+                return (String(s.order).toUpperCase() == 'DESC' ? -rv : rv);
+            }
+        }
+
+        return (0);
+    });
+}
+
+/*
+ * Compares two attribute values for sorting.  As in PostgreSQL, missing
+ * values sort after everything else.
+ */
+function compareSortValues(a1, a2, type) {
+    var missing1 = a1 === undefined || a1 === null;
+    var missing2 = a2 === undefined || a2 === null;
+
+    if (missing1 || missing2) {
+        return (missing1 === missing2 ? 0 : (missing1 ? 1 : -1));
+    }
+
+    if (type != 'number') {
+        a1 = String(a1);
+        a2 = String(a2);
+    }
+
+    return (a1 < a2 ? -1 : (a1 > a2 ? 1 : 0));
+}
+
+/*
+ * Checks the "etag" option for a conditional put or delete.  An etag of
+ * "undefined" means the operation is unconditional, and "null" means that the
+ * object must not already exist.
+ */
+function checkEtag(bucket, key, old, etag) {
+    var actual;
+
+    if (etag === undefined) {
+        return (null);
+    }
+
+    actual = old === null ? null : old._etag;
+    if (etag === actual) {
+        return (null);
+    }
+
+    return (new VError({
+        'name': 'EtagConflictError',
+        'info': {
+            'bucket': bucket.name,
+            'key': key,
+            'expected': etag,
+            'actual': actual
+        }
+    }, '%s::%s has etag %s (expected %s)', bucket.name, key, actual, etag));
+}
+
+function checkUnique(bucket, key, value) {
+    var fields, i, field, other;
+
+    fields = Object.keys(bucket.index).filter(function (f) {
+        return (bucket.index[f].unique && value[f] !== undefined &&
+            value[f] !== null);
+    });
+
+    for (i = 0; i < fields.length; i++) {
+        field = fields[i];
+        other = Object.keys(bucket.objects).filter(function (k) {
+            return (k != key && jsprim.deepEqual(
+                bucket.objects[k].value[field], value[field]));
+        });
+        if (other.length > 0) {
+            return (new VError({
+                'name': 'UniqueAttributeError',
+                'info': {
+                    'bucket': bucket.name,
+                    'key': key,
+                    'field': field,
+                    'value': value[field]
+                }
+            }, '%s::%s: duplicate value %j for unique attribute %s',
+                bucket.name, key, value[field], field));
+        }
+    }
+
+    return (null);
+}
+
+function computeEtag(value) {
+    return (crypto.createHash('md5').update(JSON.stringify(value)).
+        digest('hex').substr(0, 8).toUpperCase());
+}
+
+function bucketNotFoundError(name) {
+    return (new VError({
+        'name': 'BucketNotFoundError',
+        'info': { 'bucket': name }
+    }, '%s does not exist', name));
+}
+
+function invalidArgumentError(name, expected) {
+    return (new VError({
+        'name': 'InvalidArgumentError',
+        'info': { 'argument': name }
+    }, '%s must be %s', name, expected));
+}
+
+function objectNotFoundError(bucket, key) {
+    return (new VError({
+        'name': 'ObjectNotFoundError',
+        'info': { 'bucket': bucket, 'key': key }
+    }, '%s::%s does not exist', bucket, key));
+}
+
+
+///--- Exports
+
+module.exports = {
+    FakeMorayServer: FakeMorayServer
+};
@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -18,10 +19,20 @@ var events = require('events');
 var fast = require('fast');
 var net = require('net');
 var util = require('util');
+var uuidv4 = require('uuid/v4');
 var VError = require('verror');
 
 module.exports = FastConnection;
 
+/*
+ * Maximum time (in milliseconds) to wait for the server's response to the
+ * "version" RPC made when "checkVersion" is specified.  Very old servers never
+ * respond to it.  (Cueball's connect timeout usually expires first, in which
+ * case the connection is abandoned and retried like any other connection that
+ * failed to establish.)
+ */
+var fcVersionTimeout = 10000;
+
 /*
  * Named arguments:
  *
@@ -45,6 +56,11 @@ module.exports = FastConnection;
  *
  *     tcpKeepAliveInitialDelay initial TCP keep-alive delay (in milliseconds)
  *     (number)
+ *
+ *     checkVersion             if true, request the server's version when the
+ *     (boolean)                socket connects, and report the connection
+ *                              established only once the server has responded
+ *                              (see serverVersion()). [optional]
  */
 function FastConnection(args) {
     assert.object(args, 'args');
@@ -57,6 +73,7 @@ function FastConnection(args) {
     assert.number(args.tcpKeepAliveInitialDelay,
         'args.tcpKeepAliveInitialDelay');
     assert.optionalNumber(args.crc_mode, 'args.crc_mode');
+    assert.optionalBool(args.checkVersion, 'args.checkVersion');
 
     events.EventEmitter.call(this);
 
@@ -66,6 +83,8 @@ function FastConnection(args) {
     this.fc_connect_address = args.address;
     this.fc_connect_port = args.port;
     this.fc_tcpka_delay = args.tcpKeepAliveInitialDelay;
+    this.fc_check_version = args.checkVersion ? true : false;
+    this.fc_log = args.log;
 
     /* Socket and client state */
     this.fc_sock = net.createConnection(args.port, args.address);
@@ -87,6 +106,12 @@ function FastConnection(args) {
     /* List of all errors observed. */
     this.fc_all_errors = [];
 
+    /*
+     * Server version reported by the "version" RPC, if "checkVersion" was
+     * specified and the server responded with a valid version.
+     */
+    this.fc_server_version = null;
+
     /*
      * Socket addresses, populated after "connect".  These are only for logging
      * and debugging.
@@ -111,9 +136,10 @@ FastConnection.prototype.onSocketConnect = function onSocketConnect() {
      * so that we can identify connections that have failed as a result of a
      * remote system panic, power cycle, power off, or a network partition.
      * This will not address requests that have hung as a result of a server
-     * problem; callers are expected to deal with that on their own.  This
-     * client can't necessarily know what timeouts are reasonable, nor the scope
-     * of such a problem, nor how to deal with a request that's taking too long.
+     * problem.  This client can't necessarily know what timeouts are
+     * reasonable, nor the scope of such a problem, so callers that care about
+     * this should configure request timeouts using the "defaultTimeout" and
+     * "timeouts" client options (or per-request "timeout" options).
      *
      * Node provides an API for enabling TCP KeepAlive and setting the initial
      * interval, but it has two major issues: first, on at least Node v0.10 and
@@ -152,7 +178,58 @@ FastConnection.prototype.onSocketConnect = function onSocketConnect() {
         this.fc_sock.localAddress + ':' + this.fc_sock.localPort;
 
     /* Cueball requires that we pass this event through. */
-    this.emit('connect');
+    if (this.fc_check_version) {
+        this.checkVersion();
+    } else {
+        this.emit('connect');
+    }
+};
+
+/*
+ * [private] Requests the server's version, and then emits "connect" (unless
+ * the connection has failed in the meantime).  If the server doesn't report a
+ * valid version, the connection is still established, but serverVersion()
+ * returns null.
+ */
+FastConnection.prototype.checkVersion = function checkVersion() {
+    var self = this;
+    var req, versions;
+
+    versions = [];
+    req = this.fc_fast.rpc({
+        'rpcmethod': 'version',
+        'rpcargs': [ { 'req_id': uuidv4() } ],
+        'timeout': fcVersionTimeout,
+        'log': this.fc_log
+    });
+
+    req.on('data', function (v) {
+        versions.push(v);
+    });
+
+    req.on('end', function () {
+        if (versions.length == 1 && typeof (versions[0]) == 'object' &&
+            versions[0] !== null && typeof (versions[0].version) == 'number') {
+            self.fc_server_version = versions[0].version;
+        } else {
+            self.fc_log.warn({
+                'versions': versions
+            }, 'bad server response to "version" RPC');
+        }
+
+        done();
+    });
+
+    req.on('error', function (err) {
+        self.fc_log.warn(err, 'failed to determine server version');
+        done();
+    });
+
+    function done() {
+        if (!self.fc_destroyed && self.fc_all_errors.length === 0) {
+            self.emit('connect');
+        }
+    }
 };
 
 /* [private] */
@@ -223,6 +300,15 @@ FastConnection.prototype.destroy = function () {
 FastConnection.prototype.ref = function ref() {};
 FastConnection.prototype.unref = function unref() {};
 
+/*
+ * Returns the version reported by the server when the connection was
+ * established, or null if "checkVersion" was not specified or the server did
+ * not report a valid version.
+ */
+FastConnection.prototype.serverVersion = function serverVersion() {
+    return (this.fc_server_version);
+};
+
 /*
  * Returns an object describing the local and remote IP address and port.  This
  * is intended only for reporting, not to be parsed or interpreted.
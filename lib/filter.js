@@ -0,0 +1,682 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/filter.js: construction, parsing, and evaluation of the LDAP-style
+ * search filters used by findObjects(), updateObjects(), and deleteMany().
+ * The string representation is described in RFC 4515.  Moray supports the
+ * following forms:
+ *
+ *     (&(filter1)(filter2)...)     all of the filters match
+ *     (|(filter1)(filter2)...)     any of the filters matches
+ *     (!(filter))                  the filter does not match
+ *     (attr=value)                 equality
+ *     (attr>=value)                greater than or equal to
+ *     (attr<=value)                less than or equal to
+ *     (attr~=value)                approximately equal (treated as equality)
+ *     (attr=*)                     attribute is present
+ *     (attr=a*b*c)                 substring match
+ *     (attr:rule:=value)           extensible match, where "rule" is either
+ *                                  "caseIgnoreMatch" or
+ *                                  "caseIgnoreSubstringsMatch"
+ *
+ * Within values, the characters "*", "(", ")", "\", and NUL must be escaped as
+ * a backslash followed by two hexadecimal digits (e.g., "\2a" for "*").
+ * Interpolating unescaped values into filter strings is a common source of
+ * bugs, so consumers should build filters with the functions below (e.g.,
+ * and(eq('owner', owner), ge('mtime', t))), which return filter strings with
+ * all values escaped.
+ *
+ * Parsed filters are represented as plain objects with a "type" property (one
+ * of "and", "or", "not", "equal", "ge", "le", "approx", "present",
+ * "substring", or "ext") and type-specific properties:
+ *
+ *     and, or          "filters": array of child filters
+ *     not              "filter": the negated filter
+ *     equal, ge, le,   "attribute": attribute name
+ *     approx           "value": unescaped value
+ *     present          "attribute": attribute name
+ *     substring        "attribute": attribute name
+ *                      "initial": unescaped leading substring, or null
+ *                      "any": array of unescaped inner substrings
+ *                      "final": unescaped trailing substring, or null
+ *     ext              "attribute": attribute name
+ *                      "rule": matching rule name
+ *                      "value": unescaped value (for "caseIgnoreMatch"), or
+ *                      "initial", "any", and "final" as for "substring"
+ *                      (for "caseIgnoreSubstringsMatch")
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+
+///--- Helpers
+
+var extensibleRules = {
+    'caseIgnoreMatch': true,
+    'caseIgnoreSubstringsMatch': true
+};
+
+/*
+ * A simple recursive-descent parser.  "fp_str" is the input string and
+ * "fp_pos" is the index of the next character to be consumed.
+ */
+function FilterParser(str) {
+    this.fp_str = str;
+    this.fp_pos = 0;
+}
+
+FilterParser.prototype.fail = function fail(msg) {
+    throw (new VError({
+        'name': 'InvalidFilterError',
+        'info': {
+            'filter': this.fp_str,
+            'position': this.fp_pos
+        }
+    }, 'invalid filter "%s" at position %d: %s', this.fp_str, this.fp_pos,
+        msg));
+};
+
+FilterParser.prototype.peek = function peek() {
+    return (this.fp_pos < this.fp_str.length ?
+        this.fp_str.charAt(this.fp_pos) : null);
+};
+
+FilterParser.prototype.expect = function expect(c) {
+    if (this.peek() !== c) {
+        this.fail('expected "' + c + '"');
+    }
+    this.fp_pos++;
+};
+
+FilterParser.prototype.parseFilter = function parseFilter() {
+    var rv;
+
+    this.expect('(');
+    switch (this.peek()) {
+    case '&':
+        this.fp_pos++;
+        rv = { 'type': 'and', 'filters': this.parseFilterList() };
+        break;
+
+    case '|':
+        this.fp_pos++;
+        rv = { 'type': 'or', 'filters': this.parseFilterList() };
+        break;
+
+    case '!':
+        this.fp_pos++;
+        rv = { 'type': 'not', 'filter': this.parseFilter() };
+        break;
+
+    default:
+        rv = this.parseItem();
+        break;
+    }
+
+    this.expect(')');
+    return (rv);
+};
+
+FilterParser.prototype.parseFilterList = function parseFilterList() {
+    var filters = [];
+
+    while (this.peek() == '(') {
+        filters.push(this.parseFilter());
+    }
+
+    if (filters.length === 0) {
+        this.fail('expected at least one filter');
+    }
+
+    return (filters);
+};
+
+FilterParser.prototype.parseItem = function parseItem() {
+    var start, attr, rule, op, c, raw, rv;
+
+    start = this.fp_pos;
+    while ((c = this.peek()) !== null && /[A-Za-z0-9_.;\-]/.test(c)) {
+        this.fp_pos++;
+    }
+
+    attr = this.fp_str.substring(start, this.fp_pos);
+    if (attr.length === 0) {
+        this.fail('expected attribute name');
+    }
+
+    if (this.peek() == ':') {
+        this.fp_pos++;
+        start = this.fp_pos;
+        while ((c = this.peek()) !== null && /[A-Za-z0-9_.\-]/.test(c)) {
+            this.fp_pos++;
+        }
+        rule = this.fp_str.substring(start, this.fp_pos);
+        if (!extensibleRules.hasOwnProperty(rule)) {
+            this.fail('unsupported matching rule "' + rule + '"');
+        }
+        this.expect(':');
+        this.expect('=');
+        raw = this.readRawValue();
+        if (rule == 'caseIgnoreSubstringsMatch') {
+            rv = this.parseSubstring(attr, raw);
+            rv.type = 'ext';
+            rv.rule = rule;
+            return (rv);
+        }
+        return ({
+            'type': 'ext',
+            'attribute': attr,
+            'rule': rule,
+            'value': this.parseValue(raw)
+        });
+    }
+
+    switch (this.peek()) {
+    case '=':
+        op = 'equal';
+        this.fp_pos++;
+        break;
+
+    case '>':
+    case '<':
+    case '~':
+        op = { '>': 'ge', '<': 'le', '~': 'approx' }[this.peek()];
+        this.fp_pos++;
+        this.expect('=');
+        break;
+
+    default:
+        this.fail('expected filter operator');
+        break;
+    }
+
+    raw = this.readRawValue();
+    if (op == 'equal' && raw == '*') {
+        return ({ 'type': 'present', 'attribute': attr });
+    }
+
+    if (op == 'equal' && splitSubstrings(raw).length > 1) {
+        return (this.parseSubstring(attr, raw));
+    }
+
+    return ({
+        'type': op,
+        'attribute': attr,
+        'value': this.parseValue(raw)
+    });
+};
+
+/*
+ * Consumes the raw (still escaped) value up to the closing parenthesis.
+ */
+FilterParser.prototype.readRawValue = function readRawValue() {
+    var start = this.fp_pos;
+    var c;
+
+    while ((c = this.peek()) !== null && c != ')') {
+        if (c == '(') {
+            this.fail('unescaped "(" in value');
+        }
+        this.fp_pos++;
+    }
+
+    return (this.fp_str.substring(start, this.fp_pos));
+};
+
+FilterParser.prototype.parseSubstring = function parseSubstring(attr, raw) {
+    var self = this;
+    var parts = splitSubstrings(raw);
+    var initial = parts.shift();
+    var last = parts.length > 0 ? parts.pop() : '';
+
+    return ({
+        'type': 'substring',
+        'attribute': attr,
+        'initial': initial.length > 0 ? this.parseValue(initial) : null,
+        'any': parts.filter(function (p) {
+            return (p.length > 0);
+        }).map(function (p) {
+            return (self.parseValue(p));
+        }),
+        'final': last.length > 0 ? this.parseValue(last) : null
+    });
+};
+
+/*
+ * Unescapes a value, validating that it contains no unescaped special
+ * characters.
+ */
+FilterParser.prototype.parseValue = function parseValue(raw) {
+    var octets = [];
+    var i, c, hex;
+
+    for (i = 0; i < raw.length; i++) {
+        c = raw.charAt(i);
+        if (c == '\\') {
+            hex = raw.substr(i + 1, 2);
+            if (/^[0-9a-fA-F]{2}$/.test(hex)) {
+                octets.push(Buffer.from([ parseInt(hex, 16) ]));
+                i += 2;
+            } else if (i + 1 < raw.length) {
+                /*
+                 * Older filter parsers (including the one in Moray) also
+                 * accept a backslash followed by the literal character.
+                 */
+                octets.push(Buffer.from(raw.charAt(++i), 'utf8'));
+            } else {
+                this.fail('invalid escape sequence in value "' + raw + '"');
+            }
+        } else if (c == '*' || c == '(' || c == ')' || c == '\u0000') {
+            this.fail('unescaped "' + c + '" in value "' + raw + '"');
+        } else {
+            octets.push(Buffer.from(c, 'utf8'));
+        }
+    }
+
+    /*
+     * Escapes encode UTF-8 octets, so a multi-byte character may be split
+     * across several escapes.  Decode the value only once it's complete.
+     */
+    return (Buffer.concat(octets).toString('utf8'));
+};
+
+/*
+ * Splits a raw (still escaped) value on the unescaped "*" characters.
+ */
+function splitSubstrings(raw) {
+    var parts = [];
+    var start = 0;
+    var i;
+
+    for (i = 0; i < raw.length; i++) {
+        if (raw.charAt(i) == '\\') {
+            i++;
+        } else if (raw.charAt(i) == '*') {
+            parts.push(raw.substring(start, i));
+            start = i + 1;
+        }
+    }
+
+    parts.push(raw.substring(start));
+    return (parts);
+}
+
+/*
+ * Converts a filter value into a comparable value based on the type of the
+ * index for the corresponding attribute (if any).
+ */
+function coerceValue(value, type) {
+    var n;
+
+    switch (type) {
+    case 'number':
+    case '[number]':
+        n = Number(value);
+        return (isNaN(n) ? value : n);
+
+    case 'boolean':
+    case '[boolean]':
+        if (value === 'true' || value === true) {
+            return (true);
+        }
+        if (value === 'false' || value === false) {
+            return (false);
+        }
+        return (value);
+
+    default:
+        return (typeof (value) == 'string' ? value : String(value));
+    }
+}
+
+function compareValues(op, actual, expected, type) {
+    var a = coerceValue(actual, type);
+    var e = coerceValue(expected, type);
+
+    switch (op) {
+    case 'equal':
+    case 'approx':
+        return (a === e);
+
+    case 'ge':
+        return (typeof (a) == typeof (e) && a >= e);
+
+    case 'le':
+        return (typeof (a) == typeof (e) && a <= e);
+
+    default:
+        throw (new VError('unsupported comparison "%s"', op));
+    }
+}
+
+function substringMatches(filter, str, ignoreCase) {
+    var pos = 0;
+    var i, part;
+
+    function norm(s) {
+        return (ignoreCase ? s.toLowerCase() : s);
+    }
+
+    str = norm(str);
+    if (filter.initial !== null) {
+        part = norm(filter.initial);
+        if (str.substr(0, part.length) != part) {
+            return (false);
+        }
+        pos = part.length;
+    }
+
+    for (i = 0; i < filter.any.length; i++) {
+        part = norm(filter.any[i]);
+        pos = str.indexOf(part, pos);
+        if (pos == -1) {
+            return (false);
+        }
+        pos += part.length;
+    }
+
+    if (filter.final !== null) {
+        part = norm(filter.final);
+        return (str.length - part.length >= pos &&
+            str.substr(str.length - part.length) == part);
+    }
+
+    return (true);
+}
+
+/*
+ * Returns true if the given predicate is true for the attribute value (or, if
+ * the attribute value is an array, for any of its elements).
+ */
+function anyValue(value, predicate) {
+    if (Array.isArray(value)) {
+        return (value.some(function (v) {
+            return (v !== null && v !== undefined && predicate(v));
+        }));
+    }
+
+    return (value !== null && value !== undefined && predicate(value));
+}
+
+
+///--- API
+
+/*
+ * Parses the string representation of a filter, returning the parsed
+ * representation described above.  Throws an InvalidFilterError if the
+ * string is not a valid filter.  As with Moray itself, the outermost
+ * parentheses may be omitted for a simple filter (e.g., "name=foo").
+ */
+function parseFilter(str) {
+    var parser, rv;
+
+    assert.string(str, 'str');
+
+    str = parenthesize(str);
+    parser = new FilterParser(str);
+    rv = parser.parseFilter();
+    if (parser.fp_pos != str.length) {
+        parser.fail('unexpected trailing characters');
+    }
+
+    return (rv);
+}
+
+/*
+ * Returns an array of the unique attribute names referenced by a parsed
+ * filter, in the order in which they first appear.
+ */
+function filterAttributes(filter) {
+    var rv = [];
+
+    assert.object(filter, 'filter');
+
+    (function visit(f) {
+        switch (f.type) {
+        case 'and':
+        case 'or':
+            f.filters.forEach(visit);
+            break;
+
+        case 'not':
+            visit(f.filter);
+            break;
+
+        default:
+            if (rv.indexOf(f.attribute) == -1) {
+                rv.push(f.attribute);
+            }
+            break;
+        }
+    })(filter);
+
+    return (rv);
+}
+
+/*
+ * Evaluates a parsed filter against an object.  "attrs" maps attribute names
+ * to values, each of which may be a scalar or an array of scalars (in which
+ * case a comparison matches if it matches any element).  "types" optionally
+ * maps attribute names to Moray index types (e.g., "number" or "[string]"),
+ * which determine how values are compared.  Attributes without a type are
+ * compared as strings.
+ */
+function filterMatches(filter, attrs, types) {
+    var type;
+
+    assert.object(filter, 'filter');
+    assert.object(attrs, 'attrs');
+    assert.optionalObject(types, 'types');
+
+    types = types || {};
+
+    switch (filter.type) {
+    case 'and':
+        return (filter.filters.every(function (f) {
+            return (filterMatches(f, attrs, types));
+        }));
+
+    case 'or':
+        return (filter.filters.some(function (f) {
+            return (filterMatches(f, attrs, types));
+        }));
+
+    case 'not':
+        return (!filterMatches(filter.filter, attrs, types));
+
+    case 'present':
+        return (anyValue(attrs[filter.attribute], function () {
+            return (true);
+        }));
+
+    case 'substring':
+        return (anyValue(attrs[filter.attribute], function (v) {
+            return (substringMatches(filter, String(v), false));
+        }));
+
+    case 'ext':
+        return (anyValue(attrs[filter.attribute], function (v) {
+            if (filter.rule == 'caseIgnoreMatch') {
+                return (String(v).toLowerCase() ==
+                    filter.value.toLowerCase());
+            }
+
+            return (substringMatches(filter, String(v), true));
+        }));
+
+    default:
+        type = types[filter.attribute];
+        return (anyValue(attrs[filter.attribute], function (v) {
+            return (compareValues(filter.type, v, filter.value, type));
+        }));
+    }
+}
+
+
+/*
+ * Returns "value" escaped for use as a value in a filter string.  Numbers and
+ * booleans are converted to strings.
+ */
+function escapeValue(value) {
+    var rv, i, c;
+
+    if (typeof (value) == 'number' || typeof (value) == 'boolean') {
+        value = String(value);
+    }
+    assert.string(value, 'value');
+
+    rv = '';
+    for (i = 0; i < value.length; i++) {
+        c = value.charAt(i);
+        if ('*()\\\u0000'.indexOf(c) != -1) {
+            rv += '\\' + ('0' + c.charCodeAt(0).toString(16)).substr(-2);
+        } else {
+            rv += c;
+        }
+    }
+
+    return (rv);
+}
+
+/*
+ * Returns null if "str" is a valid filter string, or an InvalidFilterError
+ * describing the problem otherwise.
+ */
+function validateFilter(str) {
+    assert.string(str, 'str');
+
+    try {
+        parseFilter(str);
+    } catch (ex) {
+        return (ex);
+    }
+
+    return (null);
+}
+
+/*
+ * Returns the filter string "filter" with its outermost parentheses added if
+ * they were omitted (see parseFilter()), so that it can be embedded in another
+ * filter.
+ */
+function parenthesize(filter) {
+    return (filter.charAt(0) == '(' ? filter : '(' + filter + ')');
+}
+
+function makeComparison(op) {
+    return (function comparison(attr, value) {
+        assertAttribute(attr);
+        return ('(' + attr + op + escapeValue(value) + ')');
+    });
+}
+
+function assertAttribute(attr) {
+    assert.string(attr, 'attr');
+    assert.ok(/^[A-Za-z0-9_.;\-]+$/.test(attr),
+        'invalid attribute name: ' + JSON.stringify(attr));
+}
+
+function makeList(op) {
+    return (function list() {
+        var filters = Array.prototype.slice.call(arguments);
+        if (filters.length == 1 && Array.isArray(filters[0])) {
+            filters = filters[0];
+        }
+        assert.arrayOfString(filters, 'filters');
+        assert.ok(filters.length > 0, 'at least one filter is required');
+        return ('(' + op + filters.map(parenthesize).join('') + ')');
+    });
+}
+
+/*
+ * Filter constructors.  Each of these returns a filter string.
+ *
+ *     eq(attr, value)          (attr=value)
+ *     ge(attr, value)          (attr>=value)
+ *     le(attr, value)          (attr<=value)
+ *     approx(attr, value)      (attr~=value)
+ *     present(attr)            (attr=*)
+ *     substring(attr, initial, any, final)
+ *                              (attr=initial*any[0]*any[1]*...*final), where
+ *                              "initial" and "final" may be null and "any"
+ *                              may be empty or omitted.
+ *     and(f1, f2, ...)         (&f1f2...)
+ *     or(f1, f2, ...)          (|f1f2...)
+ *     not(f)                   (!f)
+ *
+ * "value" may be a string, number, or boolean and is escaped as needed.  The
+ * arguments to and() and or() are filter strings (typically constructed with
+ * these same functions), passed either as separate arguments or as a single
+ * array.  As with parseFilter(), the outermost parentheses of the filters
+ * passed to and(), or(), and not() may be omitted.
+ */
+var eq = makeComparison('=');
+var ge = makeComparison('>=');
+var le = makeComparison('<=');
+var approx = makeComparison('~=');
+var and = makeList('&');
+var or = makeList('|');
+
+function present(attr) {
+    assertAttribute(attr);
+    return ('(' + attr + '=*)');
+}
+
+function substring(attr, initial, any, last) {
+    var parts;
+
+    assertAttribute(attr);
+    assert.optionalArray(any, 'any');
+    if (initial === undefined) {
+        initial = null;
+    }
+    if (last === undefined) {
+        last = null;
+    }
+    assert.ok(initial !== null || last !== null ||
+        (any !== undefined && any !== null && any.length > 0),
+        'at least one substring is required');
+
+    parts = [ initial === null ? '' : escapeValue(initial) ];
+    (any || []).forEach(function (a) {
+        assert.ok(String(a).length > 0, 'substrings must be non-empty');
+        parts.push(escapeValue(a));
+    });
+    parts.push(last === null ? '' : escapeValue(last));
+
+    return ('(' + attr + '=' + parts.join('*') + ')');
+}
+
+function not(filter) {
+    assert.string(filter, 'filter');
+    return ('(!' + parenthesize(filter) + ')');
+}
+
+
+///--- Exports
+
+module.exports = {
+    and: and,
+    or: or,
+    not: not,
+    eq: eq,
+    ge: ge,
+    le: le,
+    approx: approx,
+    present: present,
+    substring: substring,
+    escapeValue: escapeValue,
+    validateFilter: validateFilter,
+    parseFilter: parseFilter,
+    filterAttributes: filterAttributes,
+    filterMatches: filterMatches
+};
@@ -0,0 +1,546 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/health.js: per-backend health tracking and outlier detection.
+ *
+ * Cueball decides which backends we're connected to based on DNS and on
+ * whether TCP connections can be established, but a backend can accept
+ * connections and still fail every request (e.g., because it has lost access
+ * to its database and reports NoDatabasePeersError) or respond much more slowly
+ * than its peers.  The health checker tracks the outcome and latency of
+ * requests made to each backend (identified by its IP address and port), and
+ * if outlier detection is enabled, temporarily ejects backends that misbehave:
+ *
+ *     o A backend is ejected as soon as "consecutiveFailures" requests to it
+ *       have failed in a row.
+ *
+ *     o Every "interval", a backend that served at least "minRequests"
+ *       requests during the interval is ejected if at least "failureRate" of
+ *       them failed, or if their mean latency exceeded "latencyFactor" times
+ *       the median of the mean latencies of the other backends.
+ *
+ * Only failures that indict the backend count: transport and protocol errors,
+ * timeouts, and NoDatabasePeersError.  Other errors (e.g., ObjectNotFoundError)
+ * mean the backend is working.  The "listen" RPC is excluded from latency,
+ * since it's outstanding until the caller unlistens.
+ *
+ * An ejected backend's connections are not used for new requests (see
+ * lib/pool.js) until "ejectionTime" has elapsed.  Each further ejection of the
+ * same backend lasts "ejectionTime" longer (up to "maxEjectionTime"), and each
+ * interval in which the backend serves requests without failures reduces that
+ * again.  To avoid ejecting every backend when the problem is not specific to
+ * any of them (e.g., a network problem on the client's side), backends are only
+ * ejected while no more than "maxEjectedPercent" of them are ejected.  That
+ * also means that a client with a single backend never ejects it.
+ *
+ * If "pingInterval" is specified, the health checker also makes a deep "ping"
+ * request to each backend at that interval, whose outcome counts like that of
+ * any other request.  This detects backends that have failed even when the
+ * client is idle.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+
+var mod_errors = require('./errors');
+
+
+///--- Globals
+
+/*
+ * Names of errors that indicate a problem with the backend that reported them
+ * (or with the connection to it), rather than with the request.
+ */
+var healthFailureNames = [
+    mod_errors.names.FastTransport,
+    mod_errors.names.FastProtocol,
+    mod_errors.names.FastTimeout,
+    mod_errors.names.NoDatabasePeers
+];
+
+/* Default values for outlier detection options (see above) */
+var dflHealthInterval = 10000;              /* milliseconds */
+var dflHealthConsecutiveFailures = 5;
+var dflHealthFailureRate = 0.5;
+var dflHealthMinRequests = 10;
+var dflHealthLatencyFactor = 5;
+var dflHealthEjectionTime = 30000;          /* milliseconds */
+var dflHealthMaxEjectionTime = 300000;      /* milliseconds */
+var dflHealthMaxEjectedPercent = 50;
+var dflHealthPingTimeout = 2000;            /* milliseconds */
+
+
+///--- Helpers
+
+/*
+ * Returns the median of a non-empty array of numbers.
+ */
+function median(values) {
+    var sorted, mid;
+
+    assert.ok(values.length > 0);
+    sorted = values.slice(0).sort(function (a, b) { return (a - b); });
+    mid = Math.floor(sorted.length / 2);
+    return (sorted.length % 2 === 1 ? sorted[mid] :
+        (sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/*
+ * This is a struct-like class representing the health of a single backend.
+ */
+function MorayBackendState(backend) {
+    assert.string(backend, 'backend');
+
+    this.mbs_backend = backend; /* "ip:port" label */
+    this.mbs_nconns = 0;        /* number of connections in the pool */
+
+    /* Totals since the backend was first seen */
+    this.mbs_nrequests = 0;
+    this.mbs_nfailures = 0;
+    this.mbs_nejections = 0;
+
+    /* Counters for the current interval */
+    this.mbs_win_requests = 0;
+    this.mbs_win_failures = 0;
+    this.mbs_win_latency_sum = 0;
+    this.mbs_win_latency_count = 0;
+
+    this.mbs_consecutive = 0;   /* consecutive failures */
+    this.mbs_multiplier = 0;    /* multiplier for the next ejection's time */
+    this.mbs_ejected_until = null;  /* Date when ejection ends, if ejected */
+    this.mbs_ejected_reason = null;
+    this.mbs_last_ping = null;  /* outcome of the last ping, if any */
+}
+
+MorayBackendState.prototype.resetWindow = function resetWindow() {
+    this.mbs_win_requests = 0;
+    this.mbs_win_failures = 0;
+    this.mbs_win_latency_sum = 0;
+    this.mbs_win_latency_count = 0;
+};
+
+MorayBackendState.prototype.meanLatency = function meanLatency() {
+    return (this.mbs_win_latency_count === 0 ? null :
+        this.mbs_win_latency_sum / this.mbs_win_latency_count);
+};
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     log              bunyan-style logger
+ *     (object)
+ *
+ *     options          outlier detection options (see above and the
+ *     (object)         "outlierDetection" option in moray(3)), or null to
+ *                      track backends' health without ejecting any of them
+ *
+ *     ping             function invoked as ping(backend, timeout, callback) to
+ *     (function)       make a deep ping request to the given backend
+ *
+ *     collector        optional artedi metric collector
+ *     (object)
+ *
+ *     metricLabels     optional labels for each metric
+ *     (object)
+ */
+function MorayBackendHealthChecker(args) {
+    var self = this;
+    var opts;
+
+    assert.object(args, 'args');
+    assert.object(args.log, 'args.log');
+    assert.optionalObject(args.options, 'args.options');
+    assert.func(args.ping, 'args.ping');
+    assert.optionalObject(args.collector, 'args.collector');
+    assert.optionalObject(args.metricLabels, 'args.metricLabels');
+
+    opts = args.options || {};
+    assert.optionalNumber(opts.interval, 'options.interval');
+    assert.optionalNumber(opts.consecutiveFailures,
+        'options.consecutiveFailures');
+    assert.optionalNumber(opts.failureRate, 'options.failureRate');
+    assert.optionalNumber(opts.minRequests, 'options.minRequests');
+    assert.optionalNumber(opts.latencyFactor, 'options.latencyFactor');
+    assert.optionalNumber(opts.ejectionTime, 'options.ejectionTime');
+    assert.optionalNumber(opts.maxEjectionTime, 'options.maxEjectionTime');
+    assert.optionalNumber(opts.maxEjectedPercent,
+        'options.maxEjectedPercent');
+    assert.optionalNumber(opts.pingInterval, 'options.pingInterval');
+    assert.optionalNumber(opts.pingTimeout, 'options.pingTimeout');
+
+    this.mhc_log = args.log;
+    this.mhc_ping = args.ping;
+    this.mhc_enabled = args.options ? true : false;
+
+    this.mhc_interval = opts.interval || dflHealthInterval;
+    this.mhc_consecutive = opts.consecutiveFailures ||
+        dflHealthConsecutiveFailures;
+    this.mhc_failure_rate = opts.failureRate || dflHealthFailureRate;
+    this.mhc_min_requests = opts.minRequests || dflHealthMinRequests;
+    this.mhc_latency_factor = opts.latencyFactor || dflHealthLatencyFactor;
+    this.mhc_ejection_time = opts.ejectionTime || dflHealthEjectionTime;
+    this.mhc_max_ejection_time = Math.max(this.mhc_ejection_time,
+        opts.maxEjectionTime || dflHealthMaxEjectionTime);
+    this.mhc_max_ejected_pct = typeof (opts.maxEjectedPercent) == 'number' ?
+        opts.maxEjectedPercent : dflHealthMaxEjectedPercent;
+    this.mhc_ping_interval = opts.pingInterval || null;
+    this.mhc_ping_timeout = opts.pingTimeout || dflHealthPingTimeout;
+
+    assert.ok(this.mhc_failure_rate > 0 && this.mhc_failure_rate <= 1,
+        'options.failureRate must be between 0 and 1');
+    assert.ok(this.mhc_max_ejected_pct >= 0 &&
+        this.mhc_max_ejected_pct <= 100,
+        'options.maxEjectedPercent must be between 0 and 100');
+
+    this.mhc_backends = {};     /* MorayBackendState, by backend label */
+    this.mhc_timer = null;      /* evaluation timer */
+    this.mhc_ping_timer = null; /* ping timer */
+
+    this.mhc_ejections_counter = null;
+    this.mhc_ejected_gauge = null;
+    this.mhc_metric_labels = args.metricLabels || {};
+    if (args.collector && this.mhc_enabled) {
+        this.mhc_ejections_counter = args.collector.counter({
+            'name': 'moray_client_backend_ejections',
+            'help': 'count of backends ejected by outlier detection'
+        });
+        this.mhc_ejected_gauge = args.collector.gauge({
+            'name': 'moray_client_backends_ejected',
+            'help': 'number of backends currently ejected by outlier detection'
+        });
+    }
+
+    if (this.mhc_enabled) {
+        this.mhc_timer = setInterval(function onHealthInterval() {
+            self.evaluate();
+        }, this.mhc_interval);
+
+        if (this.mhc_ping_interval !== null) {
+            this.mhc_ping_timer = setInterval(function onHealthPing() {
+                self.pingAll();
+            }, this.mhc_ping_interval);
+        }
+    }
+}
+
+/*
+ * Stops evaluation and pings (when the client is closed).
+ */
+MorayBackendHealthChecker.prototype.stop = function stop() {
+    if (this.mhc_timer !== null) {
+        clearInterval(this.mhc_timer);
+        this.mhc_timer = null;
+    }
+
+    if (this.mhc_ping_timer !== null) {
+        clearInterval(this.mhc_ping_timer);
+        this.mhc_ping_timer = null;
+    }
+};
+
+/*
+ * Invoked by the pool when a connection to "backend" is added or deleted.
+ * State for a backend is discarded once it has no connections.
+ */
+MorayBackendHealthChecker.prototype.connAdded = function connAdded(backend) {
+    assert.string(backend, 'backend');
+    if (!this.mhc_backends.hasOwnProperty(backend)) {
+        this.mhc_backends[backend] = new MorayBackendState(backend);
+    }
+
+    this.mhc_backends[backend].mbs_nconns++;
+};
+
+MorayBackendHealthChecker.prototype.connDeleted =
+    function connDeleted(backend) {
+    var state;
+
+    assert.string(backend, 'backend');
+    state = this.mhc_backends[backend];
+    assert.ok(state.mbs_nconns > 0);
+    if (--state.mbs_nconns === 0) {
+        delete (this.mhc_backends[backend]);
+        this.updateGauge();
+    }
+};
+
+/*
+ * Records the outcome of a request to "backend": "err" is the error with which
+ * it failed (if any), "latency" its duration in milliseconds, and "rpcmethod"
+ * the RPC method.
+ */
+MorayBackendHealthChecker.prototype.record =
+    function record(backend, rpcmethod, err, latency) {
+    var state, failed;
+
+    assert.string(backend, 'backend');
+    assert.string(rpcmethod, 'rpcmethod');
+    assert.number(latency, 'latency');
+
+    if (!this.mhc_backends.hasOwnProperty(backend)) {
+        /* The connection has already been removed. */
+        return;
+    }
+
+    state = this.mhc_backends[backend];
+    failed = err ? healthFailureNames.some(function (name) {
+        return (mod_errors.hasName(err, name));
+    }) : false;
+
+    state.mbs_nrequests++;
+    state.mbs_win_requests++;
+    if (rpcmethod != 'listen') {
+        state.mbs_win_latency_sum += latency;
+        state.mbs_win_latency_count++;
+    }
+
+    if (!failed) {
+        state.mbs_consecutive = 0;
+        return;
+    }
+
+    state.mbs_nfailures++;
+    state.mbs_win_failures++;
+    state.mbs_consecutive++;
+    if (state.mbs_consecutive >= this.mhc_consecutive) {
+        this.eject(state, 'consecutive failures', {
+            'consecutiveFailures': state.mbs_consecutive,
+            'lastError': err.message
+        });
+    }
+};
+
+/*
+ * Returns true if "backend" is currently ejected.
+ */
+MorayBackendHealthChecker.prototype.isEjected = function isEjected(backend) {
+    assert.string(backend, 'backend');
+    return (this.mhc_backends.hasOwnProperty(backend) &&
+        this.mhc_backends[backend].mbs_ejected_until !== null);
+};
+
+/*
+ * Returns an object describing the health of "backend", or null if it's not
+ * known.  See client.backends() in moray(3) for the properties.
+ */
+MorayBackendHealthChecker.prototype.status = function status(backend) {
+    var state;
+
+    assert.string(backend, 'backend');
+    if (!this.mhc_backends.hasOwnProperty(backend)) {
+        return (null);
+    }
+
+    state = this.mhc_backends[backend];
+    return ({
+        'ejected': state.mbs_ejected_until !== null,
+        'ejectedUntil': state.mbs_ejected_until,
+        'ejectedReason': state.mbs_ejected_reason,
+        'ejections': state.mbs_nejections,
+        'requests': state.mbs_nrequests,
+        'failures': state.mbs_nfailures,
+        'consecutiveFailures': state.mbs_consecutive,
+        'meanLatency': state.meanLatency(),
+        'lastPing': state.mbs_last_ping === null ? null :
+            jsprim.deepCopy(state.mbs_last_ping)
+    });
+};
+
+/*
+ * [private] Ejects a backend, if the limit on ejected backends allows.
+ */
+MorayBackendHealthChecker.prototype.eject =
+    function eject(state, reason, info) {
+    var nbackends, nejected, duration;
+
+    if (!this.mhc_enabled || state.mbs_ejected_until !== null) {
+        return;
+    }
+
+    nbackends = Object.keys(this.mhc_backends).length;
+    nejected = this.nejected();
+    if ((nejected + 1) * 100 > nbackends * this.mhc_max_ejected_pct) {
+        this.mhc_log.warn(jsprim.mergeObjects(info, {
+            'backend': state.mbs_backend,
+            'reason': reason,
+            'nbackends': nbackends,
+            'nejected': nejected,
+            'maxEjectedPercent': this.mhc_max_ejected_pct
+        }), 'backend is unhealthy, but too many backends are ejected to ' +
+            'eject it');
+        return;
+    }
+
+    state.mbs_multiplier++;
+    duration = Math.min(this.mhc_ejection_time * state.mbs_multiplier,
+        this.mhc_max_ejection_time);
+    state.mbs_nejections++;
+    state.mbs_ejected_until = new Date(Date.now() + duration);
+    state.mbs_ejected_reason = reason;
+    state.mbs_consecutive = 0;
+    state.resetWindow();
+
+    this.mhc_log.warn(jsprim.mergeObjects(info, {
+        'backend': state.mbs_backend,
+        'reason': reason,
+        'ejectionTime': duration
+    }), 'ejecting unhealthy backend');
+
+    if (this.mhc_ejections_counter !== null) {
+        this.mhc_ejections_counter.increment(jsprim.mergeObjects(
+            this.mhc_metric_labels, { 'reason': reason }, null));
+    }
+    this.updateGauge();
+};
+
+/*
+ * [private] Returns the number of backends currently ejected.
+ */
+MorayBackendHealthChecker.prototype.nejected = function nejected() {
+    var self = this;
+
+    return (Object.keys(this.mhc_backends).filter(function (backend) {
+        return (self.mhc_backends[backend].mbs_ejected_until !== null);
+    }).length);
+};
+
+/*
+ * [private] Updates the gauge of ejected backends.
+ */
+MorayBackendHealthChecker.prototype.updateGauge = function updateGauge() {
+    if (this.mhc_ejected_gauge !== null) {
+        this.mhc_ejected_gauge.set(this.nejected(), this.mhc_metric_labels);
+    }
+};
+
+/*
+ * [private] Invoked every "interval" to reinstate backends whose ejection has
+ * expired and to eject backends whose failure rate or latency during the last
+ * interval was too high.
+ */
+MorayBackendHealthChecker.prototype.evaluate = function evaluate() {
+    var self = this;
+    var now, states, latencies;
+
+    now = Date.now();
+    states = Object.keys(this.mhc_backends).map(function (backend) {
+        return (self.mhc_backends[backend]);
+    });
+
+    states.forEach(function (state) {
+        if (state.mbs_ejected_until !== null &&
+            state.mbs_ejected_until.getTime() <= now) {
+            self.mhc_log.info({
+                'backend': state.mbs_backend,
+                'reason': state.mbs_ejected_reason
+            }, 'reinstating ejected backend');
+            state.mbs_ejected_until = null;
+            state.mbs_ejected_reason = null;
+            state.resetWindow();
+            self.updateGauge();
+        }
+    });
+
+    /*
+     * Note the mean latency of every backend that served enough requests to
+     * compare them before ejecting any of them.
+     */
+    latencies = {};
+    states.forEach(function (state) {
+        if (state.mbs_ejected_until === null &&
+            state.mbs_win_latency_count >= self.mhc_min_requests) {
+            latencies[state.mbs_backend] = state.meanLatency();
+        }
+    });
+
+    states.forEach(function (state) {
+        var others, typical, rate;
+
+        if (state.mbs_ejected_until !== null) {
+            return;
+        }
+
+        rate = state.mbs_win_requests >= self.mhc_min_requests ?
+            state.mbs_win_failures / state.mbs_win_requests : 0;
+        others = Object.keys(latencies).filter(function (backend) {
+            return (backend != state.mbs_backend);
+        }).map(function (backend) {
+            return (latencies[backend]);
+        });
+        typical = others.length > 0 ? median(others) : null;
+
+        if (rate > 0 && rate >= self.mhc_failure_rate) {
+            self.eject(state, 'failure rate', {
+                'requests': state.mbs_win_requests,
+                'failures': state.mbs_win_failures
+            });
+        } else if (typical !== null &&
+            latencies.hasOwnProperty(state.mbs_backend) &&
+            latencies[state.mbs_backend] > self.mhc_latency_factor * typical) {
+            self.eject(state, 'latency', {
+                'meanLatency': latencies[state.mbs_backend],
+                'medianLatency': typical
+            });
+        } else if (state.mbs_win_requests > 0 &&
+            state.mbs_win_failures === 0 && state.mbs_multiplier > 0) {
+            state.mbs_multiplier--;
+        }
+
+        /*
+         * Start a new interval, even if we declined to eject the backend
+         * (because too many others are ejected).
+         */
+        state.resetWindow();
+    });
+};
+
+/*
+ * [private] Makes a deep ping request to each backend.
+ */
+MorayBackendHealthChecker.prototype.pingAll = function pingAll() {
+    var self = this;
+
+    Object.keys(this.mhc_backends).forEach(function (backend) {
+        var start = Date.now();
+
+        self.mhc_ping(backend, self.mhc_ping_timeout, function (err) {
+            var state;
+
+            if (!self.mhc_backends.hasOwnProperty(backend)) {
+                return;
+            }
+
+            state = self.mhc_backends[backend];
+            state.mbs_last_ping = {
+                'time': new Date(start),
+                'latency': Date.now() - start,
+                'error': err ? err.message : null
+            };
+
+            if (err) {
+                self.mhc_log.warn({
+                    'err': err,
+                    'backend': backend
+                }, 'health check ping failed');
+            }
+        });
+    });
+};
+
+
+///--- Exports
+
+module.exports = {
+    MorayBackendHealthChecker: MorayBackendHealthChecker
+};
@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2016, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -13,6 +14,9 @@
  */
 
 var Client = require('./client').Client;
+var errors = require('./errors');
+var FakeMorayServer = require('./fake_server').FakeMorayServer;
+var filter = require('./filter');
 
 
 ///-- API
@@ -21,5 +25,11 @@ module.exports = {
     Client: Client,
     createClient: function createClient(options) {
         return (new Client(options));
+    },
+    errors: errors,
+    filter: filter,
+    FakeMorayServer: FakeMorayServer,
+    createFakeServer: function createFakeServer(options) {
+        return (new FakeMorayServer(options));
     }
 };
@@ -0,0 +1,263 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/listener.js: a listen() subscription that survives connection failures.
+ *
+ * A "listen" RPC is tied to the connection on which it was issued, so when
+ * that connection fails (e.g., because the server restarted, or because
+ * cueball removed the backend), the RPC fails or ends and the subscription is
+ * gone.  The listener defined here instead re-issues the RPC (using a new RPC
+ * context, and so whatever connection the pool provides) after a backoff delay
+ * whenever the subscription fails with a transient error (see
+ * errors.isTransient()) or ends without unlisten() having been called.
+ * Attempts continue until one succeeds, unlisten() is called, or the client is
+ * closed.
+ *
+ * Notifications sent while the subscription is down are lost.  So that
+ * consumers can recover (e.g., by re-reading whatever state the notifications
+ * describe), the listener emits:
+ *
+ *     "gap"            when the subscription is lost, with an object with
+ *                      properties "channel", "since" (a Date), and "error"
+ *                      (or null if the subscription ended)
+ *
+ *     "reconnected"    when the subscription has been re-issued, with an
+ *                      object with properties "channel", "since" and "until"
+ *                      (Dates bounding the period during which notifications
+ *                      may have been missed), and "attempts"
+ *
+ * The server doesn't acknowledge a listen request, so "reconnected" is emitted
+ * when the new request is issued; notifications sent shortly afterwards may
+ * also be missed.
+ *
+ * Otherwise, the listener behaves like the stream returned by listen():
+ * notifications are read from it, unlisten(callback) ends the subscription
+ * (after which the stream ends), and non-transient errors are emitted as
+ * "error".
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+
+var mod_errors = require('./errors');
+var MorayRetryPolicy = require('./retry').MorayRetryPolicy;
+
+
+///--- Globals
+
+/*
+ * A subscription that stays up at least this long is considered to have
+ * succeeded, so the next failure is retried after the minimum delay.
+ */
+var listenStableTime = 5000;    /* milliseconds */
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     client       MorayClient used for listen() requests
+ *     (object)
+ *
+ *     channel      notification channel
+ *     (string)
+ *
+ *     options      options for each listen() request
+ *     (object)
+ *
+ *     isClosing    function returning true once the client is being closed,
+ *     (function)   after which the subscription is not re-issued
+ */
+function MorayListener(args) {
+    var self = this;
+
+    assert.object(args, 'args');
+    assert.object(args.client, 'args.client');
+    assert.string(args.channel, 'args.channel');
+    assert.object(args.options, 'args.options');
+    assert.func(args.isClosing, 'args.isClosing');
+
+    stream.PassThrough.call(this, { 'objectMode': true });
+
+    this.mli_client = args.client;
+    this.mli_channel = args.channel;
+    this.mli_options = args.options;
+    this.mli_isclosing = args.isClosing;
+
+    this.mli_policy = new MorayRetryPolicy({});
+    this.mli_backoff = this.mli_policy.createBackoff();
+    this.mli_backoff.on('ready', function onListenRetry() {
+        self.mli_waiting = false;
+        self.subscribe();
+    });
+
+    this.mli_inner = null;      /* current listen() request */
+    this.mli_started = 0;       /* when the current request was issued */
+    this.mli_waiting = false;   /* waiting to re-issue the request */
+    this.mli_unlistening = false;
+    this.mli_ended = false;
+
+    /*
+     * When the subscription was lost, and the number of attempts made to
+     * re-issue it since then.  The outage is considered over once a
+     * notification arrives or a re-issued request stays up for
+     * listenStableTime.
+     */
+    this.mli_lost = null;
+    this.mli_attempts = 0;
+
+    this.subscribe();
+}
+
+util.inherits(MorayListener, stream.PassThrough);
+
+/*
+ * Ends the subscription.  As with listen(), "callback" is invoked once the
+ * server has acknowledged the "unlisten" request, after which the stream ends.
+ */
+MorayListener.prototype.unlisten = function unlisten(callback) {
+    var self = this;
+    var inner = this.mli_inner;
+
+    assert.func(callback, 'callback');
+
+    this.mli_unlistening = true;
+    if (inner === null || typeof (inner.unlisten) != 'function') {
+        /* There's no subscription to end, so abandon any failed request. */
+        this.mli_inner = null;
+        this.mli_backoff.reset();
+        this.mli_waiting = false;
+        setImmediate(function () {
+            self.finish();
+            callback();
+        });
+        return;
+    }
+
+    inner.unlisten(callback);
+};
+
+/*
+ * [private] Issues a listen request.
+ */
+MorayListener.prototype.subscribe = function subscribe() {
+    var self = this;
+    var inner;
+
+    if (this.mli_unlistening) {
+        this.finish();
+        return;
+    }
+
+    inner = this.mli_client.listen(this.mli_channel, this.mli_options);
+    this.mli_inner = inner;
+    this.mli_started = Date.now();
+
+    if (this.mli_lost !== null) {
+        this.mli_attempts++;
+        this.emit('reconnected', {
+            'channel': this.mli_channel,
+            'since': this.mli_lost,
+            'until': new Date(),
+            'attempts': this.mli_attempts
+        });
+    }
+
+    inner.on('data', function onListenNotification(notification) {
+        if (self.mli_inner === inner) {
+            /* The subscription evidently works. */
+            self.mli_backoff.reset();
+            self.mli_lost = null;
+            self.write(notification);
+        }
+    });
+
+    inner.on('end', function onListenEnd() {
+        if (self.mli_inner === inner) {
+            self.onLost(null);
+        }
+    });
+
+    inner.on('error', function onListenError(err) {
+        if (self.mli_inner === inner) {
+            self.onLost(err);
+        }
+    });
+};
+
+/*
+ * [private] Handles the end or failure ("err") of the current listen request.
+ */
+MorayListener.prototype.onLost = function onLost(err) {
+    this.mli_inner = null;
+
+    if (this.mli_unlistening) {
+        if (err) {
+            this.emit('error', err);
+        }
+        this.finish();
+        return;
+    }
+
+    if ((err && !mod_errors.isTransient(err)) || this.mli_isclosing()) {
+        if (err) {
+            this.emit('error', err);
+        }
+        this.finish();
+        return;
+    }
+
+    if (Date.now() - this.mli_started >= listenStableTime) {
+        this.mli_backoff.reset();
+        this.mli_lost = null;
+    }
+
+    if (this.mli_lost === null) {
+        this.mli_lost = new Date();
+        this.mli_attempts = 0;
+        this.emit('gap', {
+            'channel': this.mli_channel,
+            'since': this.mli_lost,
+            'error': err || null
+        });
+    }
+
+    this.mli_client.log.warn({
+        'err': err,
+        'channel': this.mli_channel,
+        'attempts': this.mli_attempts
+    }, 'listen: subscription lost (will resubscribe)');
+
+    this.mli_waiting = true;
+    this.mli_backoff.backoff(err || undefined);
+};
+
+/*
+ * [private] Ends the stream.
+ */
+MorayListener.prototype.finish = function finish() {
+    if (this.mli_ended) {
+        return;
+    }
+
+    this.mli_ended = true;
+    this.end();
+};
+
+
+///--- Exports
+
+module.exports = {
+    MorayListener: MorayListener
+};
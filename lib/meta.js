@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -44,7 +45,7 @@ function ping(rpcctx, options, callback) {
         'rpcmethod': 'ping',
         'rpcargs': [ opts ],
         'log': log,
-        'timeout': options.hasOwnProperty('timeout') ? options.timeout : 1000
+        'timeout': rpc.requestTimeout(rpcctx, 'ping', options, 1000)
     }, callback);
 }
 
@@ -72,17 +73,20 @@ function ping(rpcctx, options, callback) {
  * command-line tools that report it.
  *
  * You might reasonably wonder: what do I do if I *do* depend on a newer Moray
- * version?  In that case, we'll need to rework the MorayClient abstraction so
- * that you can specify that all requests for this client should be made to
- * version-N servers.  The client will have to determine server version and keep
- * track of it.  None of this work has been done yet.  The minimum server
- * version supported by this client is 2, which is the current version.
+ * version?  In that case, use the "minServerVersion" constructor option.  With
+ * that option, each connection determines its server's version when it's
+ * established (a server can only be upgraded or rolled back by restarting it,
+ * which terminates the connection), and the client only makes requests on
+ * connections to servers at that version or later.  See lib/pool.js.  The
+ * minimum server version supported by this client is 2, which is the current
+ * version.
  */
 function versionInternal(rpcctx, options, callback) {
     var timeout, opts, log;
 
     assert.object(rpcctx, 'rpcctx');
     assert.object(options, 'options');
+    assert.optionalNumber(options.timeout, 'options.timeout');
     assert.func(callback, 'callback');
 
     /*
@@ -92,8 +96,7 @@ function versionInternal(rpcctx, options, callback) {
      * we will not conclude that the remote server is old.  We'll leave that for
      * callers to deal with.  See the notes above for details.
      */
-    timeout = typeof (options.timeout) == 'number' ?
-        options.timeout : 20000;
+    timeout = rpc.requestTimeout(rpcctx, 'versionInternal', options, 20000);
     opts = { req_id: options.req_id || uuidv4() };
     log = rpc.childLogger(rpcctx, opts);
     rpc.rpcCommonBufferData({
@@ -164,6 +167,7 @@ function sql(rpcctx, statement, values, options) {
         'rpcmethod': 'sql',
         'rpcargs': [ statement, values, opts ],
         'ignoreNullValues': true,
+        'timeout': rpc.requestTimeout(rpcctx, 'sql', options),
         'log': log
     }, function (err) {
         if (err) {
@@ -175,9 +179,15 @@ function sql(rpcctx, statement, values, options) {
         res.emit('_moray_internal_rpc_done');
     });
 
+    /* See findObjects() in lib/objects.js. */
+    res.abort = function abort() {
+        rpcctx.abort();
+    };
+
     req.on('data', function (msg) {
-        if (msg !== null) {
+        if (msg !== null && !rpcctx.aborted()) {
             log.debug('sql: msg: %j', msg);
+            rpcctx.recordReceived();
             res.emit('record', msg);
         }
     });
@@ -208,6 +218,9 @@ function listen(rpcctx, channel, options) {
      * trailing null values from successful sql() commands.  These are not
      * generally allowed, but we have to maintain compatibility with broken
      * servers.
+     *
+     * Unlike other RPCs, this one is expected to remain outstanding
+     * indefinitely, so we never apply a client-side timeout to it.
      */
     req = rpc.rpcCommon({
         'rpcctx': rpcctx,
@@ -234,7 +247,7 @@ function listen(rpcctx, channel, options) {
             'rpcmethod': 'unlisten',
             'rpcargs': [ opts.req_id, opts ],
             'log': log,
-            'timeout': opts.hasOwnProperty('timeout') ? opts.timeout : 2000
+            'timeout': rpc.requestTimeout(rpcctx, 'unlisten', options, 2000)
         }, cb);
     };
 
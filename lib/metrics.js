@@ -0,0 +1,234 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/metrics.js: client-level artedi metrics.
+ *
+ * When the client is given an artedi collector, node-fast reports metrics about
+ * each Fast request.  The metrics here describe the client itself:
+ *
+ *     moray_client_requests_completed      counter of requests completed, by
+ *                                          "rpcMethod"
+ *
+ *     moray_client_request_errors          counter of requests failed, by
+ *                                          "rpcMethod" and "errorName"
+ *
+ *     moray_client_request_time_seconds    histogram of request durations, by
+ *                                          "rpcMethod"
+ *
+ *     moray_client_records_returned        counter of records returned by
+ *                                          findObjects() and sql(), by
+ *                                          "rpcMethod"
+ *
+ *     moray_client_put_bytes               counter of bytes of object values
+ *                                          sent by putObject()
+ *
+ *     moray_client_connections             gauge of connections in the pool,
+ *                                          by "state" ("avail", "drain", or
+ *                                          "fallback")
+ *
+ *     moray_client_fallback_allocations    counter of requests that used the
+ *                                          fallback connection (see
+ *                                          lib/pool.js)
+ *
+ * "listen" requests (and the corresponding "unlisten" requests) are counted,
+ * but their durations are not recorded, since they're outstanding until the
+ * caller unlistens.  The pool metrics are updated when metrics are collected.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+var mod_errors = require('./errors');
+
+
+///--- Globals
+
+var wellKnownNames = Object.keys(mod_errors.names).map(function (k) {
+    return (mod_errors.names[k]);
+});
+
+var connStates = [ 'avail', 'drain', 'fallback' ];
+
+
+///--- Helpers
+
+/*
+ * Returns the name with which to label the failure of a request with error
+ * "err": the first well-known name in its cause chain (see lib/errors.js), or
+ * otherwise the name of its innermost cause (which is usually the error
+ * reported by the server).
+ */
+function errorLabel(err) {
+    var e, last;
+
+    for (e = err; e !== null; e = VError.cause(e)) {
+        if (wellKnownNames.indexOf(e.name) != -1) {
+            return (e.name);
+        }
+
+        last = e;
+    }
+
+    return (last.name || 'Error');
+}
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     collector        artedi metric collector
+ *     (object)
+ *
+ *     metricLabels     optional labels added to each metric
+ *     (object)
+ *
+ *     pool             MorayConnectionPool whose connections are reported
+ *     (object)
+ */
+function MorayClientMetrics(args) {
+    var self = this;
+
+    assert.object(args, 'args');
+    assert.object(args.collector, 'args.collector');
+    assert.optionalObject(args.metricLabels, 'args.metricLabels');
+    assert.object(args.pool, 'args.pool');
+
+    this.mcm_labels = args.metricLabels || {};
+    this.mcm_pool = args.pool;
+
+    /* Value of the pool's fallback allocation count when last reported. */
+    this.mcm_nalloc_fallback = 0;
+
+    this.mcm_requests = args.collector.counter({
+        'name': 'moray_client_requests_completed',
+        'help': 'count of moray client requests completed'
+    });
+    this.mcm_errors = args.collector.counter({
+        'name': 'moray_client_request_errors',
+        'help': 'count of moray client requests that failed'
+    });
+    this.mcm_latency = args.collector.histogram({
+        'name': 'moray_client_request_time_seconds',
+        'help': 'end-to-end moray client request duration'
+    });
+    this.mcm_records = args.collector.counter({
+        'name': 'moray_client_records_returned',
+        'help': 'count of records returned by moray client requests'
+    });
+    this.mcm_put_bytes = args.collector.counter({
+        'name': 'moray_client_put_bytes',
+        'help': 'bytes of object values sent by moray client putObject'
+    });
+    this.mcm_connections = args.collector.gauge({
+        'name': 'moray_client_connections',
+        'help': 'number of moray client connections, by state'
+    });
+    this.mcm_fallback_allocs = args.collector.counter({
+        'name': 'moray_client_fallback_allocations',
+        'help': 'count of moray client requests using a fallback connection'
+    });
+
+    args.collector.addTriggerFunction(function onMetricsCollect(_, callback) {
+        self.updatePool();
+        callback();
+    });
+}
+
+/*
+ * Records the completion of a request using RPC method "rpcmethod" that took
+ * "latency" milliseconds and failed with "err" (if any).  "nrecords" is the
+ * number of records that it returned.
+ */
+MorayClientMetrics.prototype.requestDone =
+    function requestDone(rpcmethod, err, latency, nrecords) {
+    var labels;
+
+    assert.string(rpcmethod, 'rpcmethod');
+    assert.optionalObject(err, 'err');
+    assert.number(latency, 'latency');
+    assert.number(nrecords, 'nrecords');
+
+    labels = this.labels({ 'rpcMethod': rpcmethod });
+    this.mcm_requests.increment(labels);
+
+    if (err) {
+        this.mcm_errors.increment(this.labels({
+            'rpcMethod': rpcmethod,
+            'errorName': errorLabel(err)
+        }));
+    }
+
+    if (rpcmethod != 'listen' && rpcmethod != 'unlisten') {
+        this.mcm_latency.observe(latency / 1000, labels);
+    }
+
+    if (nrecords > 0) {
+        this.mcm_records.add(nrecords, labels);
+    }
+};
+
+/*
+ * Records that object value "value" is being sent using RPC method
+ * "rpcmethod".
+ */
+MorayClientMetrics.prototype.valueSent = function valueSent(rpcmethod, value) {
+    assert.string(rpcmethod, 'rpcmethod');
+
+    this.mcm_put_bytes.add(Buffer.byteLength(JSON.stringify(value)),
+        this.labels({ 'rpcMethod': rpcmethod }));
+};
+
+/*
+ * [private] Updates the metrics describing the pool.
+ */
+MorayClientMetrics.prototype.updatePool = function updatePool() {
+    var self = this;
+    var stats, counts, delta;
+
+    stats = this.mcm_pool.stats();
+    counts = {};
+    connStates.forEach(function (state) {
+        counts[state] = 0;
+    });
+    stats.connections.forEach(function (c) {
+        if (counts.hasOwnProperty(c.state)) {
+            counts[c.state]++;
+        }
+    });
+    connStates.forEach(function (state) {
+        self.mcm_connections.set(counts[state],
+            self.labels({ 'state': state }));
+    });
+
+    delta = stats.counters.allocFallback - this.mcm_nalloc_fallback;
+    this.mcm_nalloc_fallback = stats.counters.allocFallback;
+    if (delta > 0) {
+        this.mcm_fallback_allocs.add(delta, this.labels({}));
+    }
+};
+
+/*
+ * [private] Returns the labels in "extra" combined with the client's metric
+ * labels.
+ */
+MorayClientMetrics.prototype.labels = function labels(extra) {
+    return (jsprim.mergeObjects(this.mcm_labels, extra, null));
+};
+
+
+///--- Exports
+
+module.exports = {
+    MorayClientMetrics: MorayClientMetrics
+};
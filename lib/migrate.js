@@ -0,0 +1,544 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/migrate.js: declarative migration of bucket schemas.
+ *
+ * A service declares the schema it expects for each of its buckets: the
+ * bucket's indexes, triggers, and options, including a version number that the
+ * service increments whenever it changes the schema.  migrateBuckets() brings
+ * each bucket up to date with its declared schema:
+ *
+ *     o If the bucket does not exist, it's created.  Its indexes are usable
+ *       immediately.
+ *
+ *     o If the bucket's version is older than the declared version, the bucket
+ *       is updated.  Indexes added to a bucket that already contains objects
+ *       are not used by the server until every object has been reindexed, so
+ *       reindexObjects() is then invoked repeatedly until no objects remain to
+ *       be reindexed.
+ *
+ *     o If the bucket's version matches the declared version, the bucket is not
+ *       modified, but any reindexing that remains from a previous (e.g.,
+ *       interrupted) migration is completed.
+ *
+ *     o If the bucket's version is newer than the declared version (as when an
+ *       older version of the service is deployed after a newer one), the
+ *       migration fails with a BucketDowngradeError rather than removing
+ *       indexes that the newer version depends on.
+ *
+ * Buckets are migrated one at a time, in the order in which they're declared,
+ * and the migration stops at the first failure.  Since each step checks the
+ * bucket's current state, a failed migration can simply be run again.
+ * Several instances of a service may run the same migration concurrently: a
+ * bucket created or updated by another instance between our getBucket() and
+ * the subsequent change is re-examined rather than treated as an error.
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+var mod_errors = require('./errors');
+var reindexingFields = require('./reindex').reindexingFields;
+
+
+///--- Globals
+
+var dflMigrateReindexCount = 100;
+
+/*
+ * Number of times a bucket is re-examined after losing a race with another
+ * client creating or updating it.
+ */
+var migrateMaxConflicts = 3;
+
+
+///--- API
+
+/*
+ * Arguments:
+ *
+ *     client       MorayClient used for bucket requests and reindexObjects()
+ *
+ *     schemas      array of bucket schemas, each with properties:
+ *
+ *                  name        bucket name
+ *
+ *                  index       index configuration, as for createBucket()
+ *
+ *                  pre, post   optional arrays of trigger functions
+ *
+ *                  options     bucket options, which must include a positive
+ *                              integer "version"
+ *
+ *     options      optional properties:
+ *
+ *                  reindexCount    number of objects to reindex with each
+ *                                  reindexObjects() request (default: 100)
+ *
+ *                  onProgress      function invoked with an object describing
+ *                                  each step of the migration, with properties
+ *                                  "bucket", "phase" ("created", "updated",
+ *                                  "reindexing", or "done"), and, for
+ *                                  "reindexing", "processed" (number of objects
+ *                                  reindexed so far) or, for "done", "result"
+ *                                  (as described below)
+ *
+ *                  options         options for each request (e.g., "timeout")
+ *
+ *     callback     invoked as callback(err, results), where "results" contains
+ *                  one object for each bucket that was migrated (even if "err"
+ *                  is set), with properties:
+ *
+ *                  name            bucket name
+ *
+ *                  action          "created", "updated", or "unchanged"
+ *
+ *                  fromVersion     the bucket's previous version, or null if it
+ *                                  was created
+ *
+ *                  toVersion       the bucket's new version
+ *
+ *                  diff            differences between the previous and new
+ *                                  configurations (see diffBucketConfig()), or
+ *                                  null if the bucket was created
+ *
+ *                  reindexed       number of objects reindexed
+ *
+ *                  usableIndexes   indexed fields that became usable in
+ *                                  queries as a result of the migration
+ */
+function migrateBuckets(client, schemas, options, callback) {
+    var results = [];
+    var rpcopts, reindexCount, onProgress;
+
+    assert.object(client, 'client');
+    assert.arrayOfObject(schemas, 'schemas');
+    assert.object(options, 'options');
+    assert.optionalNumber(options.reindexCount, 'options.reindexCount');
+    assert.optionalFunc(options.onProgress, 'options.onProgress');
+    assert.optionalObject(options.options, 'options.options');
+    assert.func(callback, 'callback');
+
+    schemas.forEach(function (schema, i) {
+        var s = 'schemas[' + i + ']';
+        assert.string(schema.name, s + '.name');
+        assert.object(schema.index, s + '.index');
+        assert.optionalArray(schema.pre, s + '.pre');
+        assert.optionalArray(schema.post, s + '.post');
+        assert.object(schema.options, s + '.options');
+        assert.number(schema.options.version, s + '.options.version');
+        assert.ok(schema.options.version > 0 &&
+            Math.floor(schema.options.version) === schema.options.version,
+            s + '.options.version must be a positive integer');
+    });
+
+    rpcopts = options.options || {};
+    reindexCount = options.reindexCount || dflMigrateReindexCount;
+    onProgress = options.onProgress || function () {};
+
+    migrateNext(0);
+
+    function migrateNext(i) {
+        if (i == schemas.length) {
+            callback(null, results);
+            return;
+        }
+
+        migrateBucket(schemas[i], 0, function (err, result) {
+            if (err) {
+                callback(err, results);
+                return;
+            }
+
+            results.push(result);
+            onProgress({
+                'bucket': result.name,
+                'phase': 'done',
+                'result': result
+            });
+            migrateNext(i + 1);
+        });
+    }
+
+    function migrateBucket(schema, nconflicts, cb) {
+        var name = schema.name;
+        var version = schema.options.version;
+        var config = {
+            'index': schema.index,
+            'pre': schema.pre || [],
+            'post': schema.post || [],
+            'options': schema.options
+        };
+
+        /*
+         * Another client changed the bucket between our getBucket() and our
+         * attempt to change it.  Start over with the new state of the bucket.
+         */
+        function onConflict(err) {
+            if (nconflicts + 1 >= migrateMaxConflicts) {
+                cb(migrateError(err, name, 'too many conflicts'));
+                return;
+            }
+
+            client.log.info({
+                'err': err,
+                'bucket': name
+            }, 'migrateBuckets: bucket changed concurrently (will retry)');
+            migrateBucket(schema, nconflicts + 1, cb);
+        }
+
+        client.getBucket(name, rpcopts, function (err, bucket) {
+            var current, diff;
+
+            if (err) {
+                if (!mod_errors.isBucketNotFoundError(err)) {
+                    cb(migrateError(err, name, 'fetching bucket'));
+                    return;
+                }
+
+                client.createBucket(name, config, rpcopts, function (err2) {
+                    if (err2) {
+                        if (VError.findCauseByName(err2,
+                            'BucketConflictError') !== null) {
+                            onConflict(err2);
+                        } else {
+                            cb(migrateError(err2, name, 'creating bucket'));
+                        }
+                        return;
+                    }
+
+                    onProgress({ 'bucket': name, 'phase': 'created' });
+                    cb(null, {
+                        'name': name,
+                        'action': 'created',
+                        'fromVersion': null,
+                        'toVersion': version,
+                        'diff': null,
+                        'reindexed': 0,
+                        'usableIndexes': Object.keys(schema.index)
+                    });
+                });
+                return;
+            }
+
+            current = bucket.options.version || 0;
+            diff = diffBucketConfig(bucket, config);
+            if (current > version) {
+                cb(new VError({
+                    'name': 'BucketDowngradeError',
+                    'info': {
+                        'bucket': name,
+                        'version': current,
+                        'requestedVersion': version
+                    }
+                }, 'bucket "%s" has version %d, which is newer than %d',
+                    name, current, version));
+                return;
+            }
+
+            if (current == version) {
+                if (diff.addedIndexes.length > 0 ||
+                    diff.removedIndexes.length > 0 ||
+                    diff.changedIndexes.length > 0 || diff.preChanged ||
+                    diff.postChanged || diff.optionsChanged) {
+                    client.log.warn({
+                        'bucket': name,
+                        'version': version,
+                        'diff': diff
+                    }, 'migrateBuckets: bucket differs from schema with ' +
+                        'the same version (not updating)');
+                }
+
+                finishBucket(name, 'unchanged', current, version, diff,
+                    bucket, cb);
+                return;
+            }
+
+            client.updateBucket(name, config, rpcopts, function (err2) {
+                if (err2) {
+                    if (VError.findCauseByName(err2,
+                        'BucketVersionError') !== null) {
+                        onConflict(err2);
+                    } else {
+                        cb(migrateError(err2, name, 'updating bucket'));
+                    }
+                    return;
+                }
+
+                onProgress({ 'bucket': name, 'phase': 'updated' });
+                finishBucket(name, 'updated', current, version, diff, null, cb);
+            });
+        });
+    }
+
+    /*
+     * Completes any reindexing required for the bucket "name" (whose
+     * configuration is "bucket", or null if it has been updated and must be
+     * fetched again) and reports the result.
+     */
+    function finishBucket(name, action, fromVersion, toVersion, diff, bucket,
+        cb) {
+        var pending, reindexed;
+
+        if (bucket === null) {
+            client.getBucket(name, rpcopts, function (err, newbucket) {
+                if (err) {
+                    cb(migrateError(err, name, 'fetching updated bucket'));
+                } else {
+                    finishBucket(name, action, fromVersion, toVersion, diff,
+                        newbucket, cb);
+                }
+            });
+            return;
+        }
+
+        pending = reindexingFields(bucket);
+        reindexed = 0;
+        if (pending.length === 0) {
+            done();
+        } else {
+            reindex();
+        }
+
+        function reindex() {
+            client.reindexObjects(name, reindexCount, rpcopts,
+                function (err, res) {
+                if (err) {
+                    cb(migrateError(err, name, 'reindexing objects'));
+                    return;
+                }
+
+                if (res.processed === 0) {
+                    done();
+                    return;
+                }
+
+                reindexed += res.processed;
+                onProgress({
+                    'bucket': name,
+                    'phase': 'reindexing',
+                    'processed': reindexed
+                });
+                reindex();
+            });
+        }
+
+        function done() {
+            /*
+             * Fields added or changed by the update are now usable, since
+             * we've completed any reindexing they required, as are fields
+             * from an earlier migration whose reindexing we completed.
+             */
+            var usable = action != 'updated' ? [] :
+                diff.addedIndexes.concat(diff.changedIndexes);
+            pending.forEach(function (field) {
+                if (usable.indexOf(field) == -1) {
+                    usable.push(field);
+                }
+            });
+
+            cb(null, {
+                'name': name,
+                'action': action,
+                'fromVersion': fromVersion,
+                'toVersion': toVersion,
+                'diff': diff,
+                'reindexed': reindexed,
+                'usableIndexes': usable.filter(function (field) {
+                    return (diff.removedIndexes.indexOf(field) == -1);
+                })
+            });
+        }
+    }
+}
+
+/*
+ * Compares the parsed bucket configuration "current" (as returned by
+ * getBucket()) with the bucket configuration "desired" (as passed to
+ * updateBucket()) and returns an object describing the differences:
+ *
+ *     fromVersion      version of "current"
+ *
+ *     toVersion        version of "desired"
+ *
+ *     addedIndexes     indexed fields in "desired" but not "current"
+ *
+ *     removedIndexes   indexed fields in "current" but not "desired"
+ *
+ *     changedIndexes   indexed fields whose type or uniqueness differs
+ *
+ *     retypedIndexes   indexed fields whose type differs
+ *
+ *     uniqueChanged    indexed fields whose uniqueness differs
+ *
+ *     reindexFields    added or retyped fields, which the server does not use
+ *                      in filters until existing objects have been reindexed
+ *
+ *     preChanged       whether the "pre" triggers differ
+ *
+ *     postChanged      whether the "post" triggers differ
+ *
+ *     optionsChanged   whether any options other than "version" differ
+ */
+function diffBucketConfig(current, desired) {
+    var curindex, newindex, rv;
+
+    assert.object(current, 'current');
+    assert.object(desired, 'desired');
+
+    curindex = current.index || {};
+    newindex = desired.index || {};
+    rv = {
+        'fromVersion': (current.options || {}).version || 0,
+        'toVersion': (desired.options || {}).version || 0,
+        'addedIndexes': [],
+        'removedIndexes': [],
+        'changedIndexes': [],
+        'retypedIndexes': [],
+        'uniqueChanged': [],
+        'reindexFields': [],
+        'preChanged': !sameFunctions(current.pre, desired.pre),
+        'postChanged': !sameFunctions(current.post, desired.post),
+        'optionsChanged': !sameOptions(current.options, desired.options)
+    };
+
+    Object.keys(newindex).forEach(function (field) {
+        var retyped, unique;
+
+        if (!curindex.hasOwnProperty(field)) {
+            rv.addedIndexes.push(field);
+            rv.reindexFields.push(field);
+            return;
+        }
+
+        retyped = curindex[field].type != newindex[field].type;
+        unique = !curindex[field].unique != !newindex[field].unique;
+        if (retyped) {
+            rv.retypedIndexes.push(field);
+            rv.reindexFields.push(field);
+        }
+        if (unique) {
+            rv.uniqueChanged.push(field);
+        }
+        if (retyped || unique) {
+            rv.changedIndexes.push(field);
+        }
+    });
+
+    Object.keys(curindex).forEach(function (field) {
+        if (!newindex.hasOwnProperty(field)) {
+            rv.removedIndexes.push(field);
+        }
+    });
+
+    return (rv);
+}
+
+/*
+ * Fetches the current configuration of bucket "bucket" and compares it with
+ * the bucket configuration "config" (as passed to putBucket()) using
+ * diffBucketConfig().  In addition to the properties described there, the
+ * result has properties:
+ *
+ *     bucket           the bucket name
+ *
+ *     exists           whether the bucket exists.  A bucket that does not
+ *                      exist is compared with an empty configuration.
+ *
+ *     current          the bucket's current configuration (as returned by
+ *                      getBucket()), or null if it does not exist
+ *
+ *     reindexRequired  whether applying "config" would leave indexes that the
+ *                      server does not use until existing objects have been
+ *                      reindexed (see "reindexFields")
+ *
+ * "options" are passed through to getBucket().  Nothing is modified.
+ */
+function diffBucket(client, bucket, config, options, callback) {
+    assert.object(client, 'client');
+    assert.string(bucket, 'bucket');
+    assert.object(config, 'config');
+    assert.object(options, 'options');
+    assert.func(callback, 'callback');
+
+    client.getBucket(bucket, options, function (err, current) {
+        var exists, rv;
+
+        exists = true;
+        if (err) {
+            if (!mod_errors.isBucketNotFoundError(err)) {
+                callback(err);
+                return;
+            }
+
+            exists = false;
+            current = { 'index': {}, 'pre': [], 'post': [], 'options': {} };
+        }
+
+        rv = diffBucketConfig(current, config);
+        if (!exists) {
+            /* A new bucket has no objects to reindex. */
+            rv.reindexFields = [];
+        }
+
+        rv.bucket = bucket;
+        rv.exists = exists;
+        rv.current = exists ? current : null;
+        rv.reindexRequired = rv.reindexFields.length > 0;
+        callback(null, rv);
+    });
+}
+
+
+///--- Helpers
+
+function migrateError(err, bucket, what) {
+    return (new VError({
+        'name': 'MigrationError',
+        'cause': err,
+        'info': { 'bucket': bucket }
+    }, 'migrate bucket "%s": %s', bucket, what));
+}
+
+function sameFunctions(a, b) {
+    a = (a || []).map(String);
+    b = (b || []).map(String);
+    return (a.length == b.length && a.every(function (f, i) {
+        return (f == b[i]);
+    }));
+}
+
+function sameOptions(a, b) {
+    a = jsonWithoutVersion(a);
+    b = jsonWithoutVersion(b);
+    return (a == b);
+}
+
+function jsonWithoutVersion(options) {
+    var rv = {};
+
+    Object.keys(options || {}).sort().forEach(function (k) {
+        if (k != 'version') {
+            rv[k] = options[k];
+        }
+    });
+
+    return (JSON.stringify(rv));
+}
+
+
+///--- Exports
+
+module.exports = {
+    diffBucket: diffBucket,
+    diffBucketConfig: diffBucketConfig,
+    migrateBuckets: migrateBuckets
+};
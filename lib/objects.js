@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -39,11 +40,13 @@ function putObject(rpcctx, bucket, key, value, options, callback) {
 
     opts = makeOptions(options, value);
     log = rpc.childLogger(rpcctx, opts);
+    rpcctx.valueSent('putObject', value);
     rpc.rpcCommonBufferData({
         'rpcctx': rpcctx,
         'log': log,
         'rpcmethod': 'putObject',
-        'rpcargs': [ bucket, key, value, opts ]
+        'rpcargs': [ bucket, key, value, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'putObject', options)
     }, function (err, data) {
         if (!err && data.length > 1) {
             err = new VError('expected at most 1 data message, found %d',
@@ -124,7 +127,8 @@ function getObject(rpcctx, bucket, key, options, callback) {
         'rpcctx': rpcctx,
         'log': log,
         'rpcmethod': 'getObject',
-        'rpcargs': [ bucket, key, opts ]
+        'rpcargs': [ bucket, key, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'getObject', options)
     }, function (err, data) {
         if (err) {
             callback(err);
@@ -169,7 +173,8 @@ function deleteObject(rpcctx, bucket, key, options, callback) {
         'log': log,
         'ignoreNullValues': true,
         'rpcmethod': 'delObject',
-        'rpcargs': [ bucket, key, opts ]
+        'rpcargs': [ bucket, key, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'deleteObject', options)
     }, function (err, data) {
         /*
          * The server provides data in a response, but historically this client
@@ -323,7 +328,8 @@ function findObjects(rpcctx, bucket, filter, options) {
         'rpcctx': rpcctx,
         'log': log,
         'rpcmethod': 'findObjects',
-        'rpcargs': [ bucket, filter, opts ]
+        'rpcargs': [ bucket, filter, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'findObjects', options)
     }, function (err) {
         if (err) {
             if (VError.hasCauseWithName(err, 'FastRequestAbandonedError') &&
@@ -353,7 +359,19 @@ function findObjects(rpcctx, bucket, filter, options) {
         res.emit('_moray_internal_rpc_done');
     });
 
+    /*
+     * Allow the caller to stop the request before it completes.  The RPC
+     * fails with a RequestAbortedError and we stop emitting records.
+     */
+    res.abort = function abort() {
+        rpcctx.abort();
+    };
+
     req.on('data', function onObject(msg) {
+        if (rpcctx.aborted()) {
+            return;
+        }
+
         if (isFirstDataRecord && needMetadataRecord) {
             if (Object.hasOwnProperty.call(msg, '_handledOptions')) {
                 gotMetadataRecord = true;
@@ -384,6 +402,7 @@ function findObjects(rpcctx, bucket, filter, options) {
             isFirstDataRecord = false;
         } else {
             log.debug({ object: msg }, 'findObjects: record found');
+            rpcctx.recordReceived();
             res.emit('record', msg);
         }
     });
@@ -441,7 +460,8 @@ function batch(rpcctx, requests, options, callback) {
         'rpcctx': rpcctx,
         'log': log,
         'rpcmethod': 'batch',
-        'rpcargs': [ requests, opts ]
+        'rpcargs': [ requests, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'batch', options)
     }, function (err, data) {
         if (!err && data.length > 1) {
             err = new VError('expected at most 1 data message, found %d',
@@ -472,7 +492,8 @@ function updateObjects(rpcctx, bucket, fields, filter, options, callback) {
         'rpcctx': rpcctx,
         'log': log,
         'rpcmethod': 'updateObjects',
-        'rpcargs': [ bucket, fields, filter, opts ]
+        'rpcargs': [ bucket, fields, filter, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'updateObjects', options)
     }, function (err, data) {
         if (!err && data.length > 1) {
             err = new VError('expected at most 1 data message, found %d',
@@ -502,7 +523,8 @@ function deleteMany(rpcctx, bucket, filter, options, callback) {
         'rpcctx': rpcctx,
         'log': log,
         'rpcmethod': 'deleteMany',
-        'rpcargs': [ bucket, filter, opts ]
+        'rpcargs': [ bucket, filter, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'deleteMany', options)
     }, function (err, data) {
         if (!err && data.length > 1) {
             err = new VError('expected at most 1 data message, found %d',
@@ -533,7 +555,8 @@ function reindexObjects(rpcctx, bucket, count, options, callback) {
         'rpcctx': rpcctx,
         'log': log,
         'rpcmethod': 'reindexObjects',
-        'rpcargs': [ bucket, count, opts ]
+        'rpcargs': [ bucket, count, opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'reindexObjects', options)
     }, function (err, data) {
         if (!err && data.length != 1) {
             err = new VError('expected exactly 1 data message, found %d',
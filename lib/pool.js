@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -53,8 +54,8 @@
  *           | connRetire()/connDrain() +----------------------+
  *           v                                      |
  *  +---------------------+                         | fallback time expires
- *  | state: MC_S_DRAIN   | <-----------------------+ or another connection is
- *  +---------------------+                           added
+ *  | state: MC_S_DRAIN   | <-----------------------+ or another usable
+ *  +---------------------+                           connection is added
  *           |                                        connFallbackRemove()
  *           | last request completes
  *           | connDelete()
@@ -63,6 +64,37 @@
  *  | state: MC_S_DELETED |
  *  |    (removed)        |
  *  +---------------------+
+ *
+ *
+ * Server versions
+ *
+ * If the client was given a minimum server version, each connection requests
+ * the server's version when it's established (see FastConnection), and we only
+ * allocate connections to servers that reported at least that version.  Other
+ * connections remain in the pool (and follow the state machine above), but are
+ * never used for requests.  If no connection is usable, allocation fails as
+ * though there were no connections at all.  Likewise, adding a connection that
+ * can't be used (or that's to an ejected backend, as described below) does not
+ * remove the fallback connection.
+ *
+ *
+ * Backend health
+ *
+ * We report the outcome of each request to the health checker (see
+ * lib/health.js), which may eject backends that fail too many requests or are
+ * much slower than their peers.  Connections to ejected backends remain in the
+ * pool, but are not allocated for new requests unless every usable connection
+ * is to an ejected backend, in which case we ignore ejections rather than fail
+ * requests that might well succeed.
+ *
+ *
+ * Balancing
+ *
+ * Having determined which connections may be used for a new request, we ask
+ * the balancer (see lib/balancer.js) to pick one of them.  To support
+ * balancers that take latency into account, each connection keeps an
+ * exponentially-weighted moving average of the latency of requests completed
+ * on it.
  */
 
 var assert = require('assert-plus');
@@ -75,6 +107,12 @@ var VError = require('verror');
  */
 var MorayFallbackMaxTime = 15 * 1000;
 
+/*
+ * Weight given to each request's latency in a connection's moving average of
+ * request latency.
+ */
+var MorayLatencyAlpha = 0.2;
+
 /*
  * Connection states (see above)
  */
@@ -85,6 +123,23 @@ var MC_S_DELETED = '_moray_conn_state_deleted';
 
 module.exports = MorayConnectionPool;
 
+/*
+ * Returns the name used to report the given connection state.
+ */
+function connStateName(state) {
+    switch (state) {
+    case MC_S_AVAIL:
+        return ('avail');
+    case MC_S_DRAIN:
+        return ('drain');
+    case MC_S_FALLBACK:
+        return ('fallback');
+    default:
+        assert.equal(state, MC_S_DELETED);
+        return ('deleted');
+    }
+}
+
 /*
  * This is a struct-like class that represents a single logical connection.  The
  * lifecycle and logic are managed by the MorayConnectionPool class.
@@ -96,12 +151,34 @@ function MorayConnection(key, conn, hdl, log) {
     assert.object(log, 'log');
     this.mc_key = key;      /* cueball identifier for this connection */
     this.mc_conn = conn;    /* object implementing Cueball "Connection" */
+    this.mc_backend = conn.socketAddrs().remote;    /* "ip:port" label */
     this.mc_hdl = hdl;      /* cueball handle to release after drain */
     this.mc_log = log;      /* bunyan-style logger */
     this.mc_nreqs = 0;      /* number of outstanding requests */
+    this.mc_latency = null; /* average request latency (ms), if known */
     this.mc_state = MC_S_AVAIL;
 }
 
+/*
+ * The following methods make up the interface that balancers use to examine
+ * connections (see lib/balancer.js).
+ */
+MorayConnection.prototype.key = function key() {
+    return (this.mc_key);
+};
+
+MorayConnection.prototype.backend = function backend() {
+    return (this.mc_backend);
+};
+
+MorayConnection.prototype.outstanding = function outstanding() {
+    return (this.mc_nreqs);
+};
+
+MorayConnection.prototype.latency = function latency() {
+    return (this.mc_latency);
+};
+
 /*
  * This is a struct-like class representing a single allocation of a
  * MorayConnection.  This primarily exists to allow us to ensure that consumers
@@ -117,6 +194,10 @@ MorayConnectionAllocation.prototype.connection = function () {
     return (this.mca_mconn.mc_conn);
 };
 
+MorayConnectionAllocation.prototype.backend = function () {
+    return (this.mca_mconn.mc_backend);
+};
+
 /*
  * Given a Cueball ConnectionSet, implements a simple allocate/release interface
  * using the connections in that set.
@@ -128,11 +209,21 @@ function MorayConnectionPool(args) {
     assert.object(args.log, 'args.log');
     assert.object(args.cueballResolver, 'args.cueballResolver');
     assert.object(args.cueballSet, 'args.cueballSet');
+    assert.optionalNumber(args.minServerVersion, 'args.minServerVersion');
+    assert.object(args.healthChecker, 'args.healthChecker');
+    assert.object(args.balancer, 'args.balancer');
+    assert.func(args.balancer.pick, 'args.balancer.pick');
 
     this.mcp_log = args.log;
+    this.mcp_health = args.healthChecker;
+    this.mcp_balancer = args.balancer;
     this.mcp_cueball_resolver = args.cueballResolver;
     this.mcp_cueball_set = args.cueballSet;
 
+    /* Minimum server version for allocated connections (see above). */
+    this.mcp_min_version = typeof (args.minServerVersion) == 'number' ?
+        args.minServerVersion : null;
+
     /*
      * We keep track of all connections that we know about in "mcp_conns".  This
      * includes connections available for general use for new requests,
@@ -166,6 +257,8 @@ function MorayConnectionPool(args) {
     this.mcp_nalloc_ok = 0;         /* successful allocations */
     this.mcp_nalloc_fail = 0;       /* failed allocations */
     this.mcp_nalloc_fallback = 0;   /* allocations of a fallback conn */
+    this.mcp_nalloc_version = 0;    /* failed allocations due to versions */
+    this.mcp_nalloc_ejected = 0;    /* allocations ignoring ejections */
     this.mcp_nreleased = 0;         /* releases */
     this.mcp_nfallbacks = 0;        /* assigned a conn as fallback */
 
@@ -186,26 +279,33 @@ function MorayConnectionPool(args) {
  * The caller must invoke connRelease() when the request is finished.
  */
 MorayConnectionPool.prototype.connAlloc = function () {
-    var availkeys, key, mconn, aconn, staletime, staletimems;
+    var self = this;
+    var availkeys, candidates, mconn, staletime, staletimems;
 
     /*
-     * There are more sophisticated ways to pick a connection (e.g., store
-     * connections in a priority queue by number of outstanding requests).  But
-     * our expectation is that Moray servers are pretty uniform, Moray requests
-     * are pretty uniform in their cost on the server, and so a random
-     * distribution is likely to be reasonable.
+     * The balancer picks among the usable connections in service.  By default,
+     * it picks one at random: our expectation is that Moray servers are pretty
+     * uniform, Moray requests are pretty uniform in their cost on the server,
+     * and so a random distribution is likely to be reasonable.
      */
-    availkeys = Object.keys(this.mcp_avail);
+    availkeys = this.usableKeys(Object.keys(this.mcp_avail));
     if (availkeys.length > 0) {
-        key = jsprim.randElt(availkeys);
-        mconn = this.mcp_conns[key];
+        candidates = availkeys.map(function (k) {
+            return (self.mcp_conns[k]);
+        });
+        mconn = this.mcp_balancer.pick(candidates);
+        assert.ok(candidates.indexOf(mconn) != -1,
+            'balancer returned a connection that was not a candidate');
         assert.strictEqual(mconn.mc_state, MC_S_AVAIL);
     } else {
         mconn = this.mcp_conn_fallback;
+        if (mconn !== null && !this.connUsable(mconn)) {
+            mconn = null;
+        }
+
         if (mconn !== null) {
             assert.arrayOfNumber(this.mcp_conn_fallback_time);
             assert.strictEqual(mconn.mc_state, MC_S_FALLBACK);
-            key = mconn.mc_key;
             staletime = process.hrtime(this.mcp_conn_fallback_time);
             staletimems = jsprim.hrtimeMillisec(staletime);
             if (staletimems > MorayFallbackMaxTime) {
@@ -224,11 +324,59 @@ MorayConnectionPool.prototype.connAlloc = function () {
     if (mconn === null) {
         this.mcp_nalloc_fail++;
         this.mcp_log.trace('failed to allocate connection');
+        if (this.mcp_min_version !== null &&
+            !jsprim.isEmpty(this.mcp_avail)) {
+            this.mcp_nalloc_version++;
+            return (new VError({
+                'name': 'NoBackendsError',
+                'info': {
+                    'minServerVersion': this.mcp_min_version,
+                    'serverVersions': this.serverVersions().versions
+                }
+            }, 'no connections available to servers at version %d or later',
+                this.mcp_min_version));
+        }
+
         return (new VError({
             'name': 'NoBackendsError'
         }, 'no connections available'));
     }
 
+    return (this.connAllocate(mconn));
+};
+
+/*
+ * [public] Like connAlloc(), but picks one of the available connections to the
+ * given backend (identified by its "ip:port" label), regardless of whether the
+ * backend is ejected.  This is used for health checks.
+ */
+MorayConnectionPool.prototype.connAllocBackend =
+    function connAllocBackend(backend) {
+    var self = this;
+    var keys;
+
+    assert.string(backend, 'backend');
+
+    keys = Object.keys(this.mcp_avail).filter(function (key) {
+        return (self.mcp_conns[key].mc_backend == backend);
+    });
+    if (keys.length === 0) {
+        this.mcp_nalloc_fail++;
+        return (new VError({
+            'name': 'NoBackendsError',
+            'info': { 'backend': backend }
+        }, 'no connections available to backend "%s"', backend));
+    }
+
+    return (this.connAllocate(this.mcp_conns[jsprim.randElt(keys)]));
+};
+
+/*
+ * [private] Allocates the given connection for a new request.
+ */
+MorayConnectionPool.prototype.connAllocate = function connAllocate(mconn) {
+    var aconn;
+
     assert.ok(mconn instanceof MorayConnection);
     assert.ok(mconn.mc_nreqs >= 0);
     mconn.mc_nreqs++;
@@ -269,6 +417,218 @@ MorayConnectionPool.prototype.connRelease = function (aconn) {
     }
 };
 
+/*
+ * [public] Records the outcome of a request made using a connection allocated
+ * from connAlloc(): "rpcmethod" is the RPC method, "err" the error with which
+ * the request failed (if any), and "latency" its duration in milliseconds.
+ * This may be invoked several times for each allocation (e.g., for listen()
+ * and the corresponding unlisten(), which may complete after the connection
+ * has been released).
+ */
+MorayConnectionPool.prototype.connRecord =
+    function connRecord(aconn, rpcmethod, err, latency) {
+    var mconn;
+
+    assert.ok(aconn instanceof MorayConnectionAllocation);
+    mconn = aconn.mca_mconn;
+    this.mcp_health.record(mconn.mc_backend, rpcmethod, err, latency);
+
+    /*
+     * As with the health checker, "listen" requests are outstanding until the
+     * caller unlistens, so their latency is meaningless.
+     */
+    if (rpcmethod != 'listen') {
+        mconn.mc_latency = mconn.mc_latency === null ? latency :
+            MorayLatencyAlpha * latency +
+            (1 - MorayLatencyAlpha) * mconn.mc_latency;
+    }
+};
+
+/*
+ * [public] Returns an array describing each backend to which we have
+ * connections (including those being drained), with properties "backend" (the
+ * server's IP address and port), "connections" (the number of connections in
+ * service), "draining" (the number of connections being drained), and
+ * "serverVersion" (or null if unknown), plus the health information reported
+ * by the health checker (see MorayBackendHealthChecker.status()).
+ */
+MorayConnectionPool.prototype.backends = function backends() {
+    var self = this;
+    var bybackend = {};
+
+    jsprim.forEachKey(this.mcp_conns, function (key, mconn) {
+        var b = mconn.mc_backend;
+
+        if (!bybackend.hasOwnProperty(b)) {
+            bybackend[b] = {
+                'backend': b,
+                'connections': 0,
+                'draining': 0,
+                'serverVersion': null
+            };
+        }
+
+        if (self.mcp_avail.hasOwnProperty(key)) {
+            bybackend[b].connections++;
+        } else {
+            bybackend[b].draining++;
+        }
+
+        if (mconn.mc_conn.serverVersion() !== null) {
+            bybackend[b].serverVersion = mconn.mc_conn.serverVersion();
+        }
+    });
+
+    return (Object.keys(bybackend).sort().map(function (b) {
+        return (jsprim.mergeObjects(bybackend[b],
+            self.mcp_health.status(b)));
+    }));
+};
+
+/*
+ * [public] Returns a summary of the versions of the servers to which we have
+ * connections in service, as an object with properties:
+ *
+ *     minServerVersion     minimum version of servers used for requests, or
+ *                          null if there is none
+ *
+ *     versions             object mapping each server version (or "unknown"
+ *                          for servers whose version is not known) to the
+ *                          number of connections to servers at that version
+ *
+ *     backends             array of objects describing each connection, with
+ *                          properties "key", "remote" (the server's IP address
+ *                          and port), "version" (or null if unknown), and
+ *                          "usable" (whether the connection meets the minimum
+ *                          version)
+ */
+MorayConnectionPool.prototype.serverVersions = function serverVersions() {
+    var self = this;
+    var rv;
+
+    rv = {
+        'minServerVersion': this.mcp_min_version,
+        'versions': {},
+        'backends': []
+    };
+
+    Object.keys(this.mcp_avail).forEach(function (key) {
+        var mconn = self.mcp_conns[key];
+        var version = mconn.mc_conn.serverVersion();
+        var label = version === null ? 'unknown' : String(version);
+
+        rv.versions[label] = (rv.versions[label] || 0) + 1;
+        rv.backends.push({
+            'key': key,
+            'remote': mconn.mc_conn.socketAddrs().remote,
+            'version': version,
+            'usable': self.connUsable(mconn)
+        });
+    });
+
+    return (rv);
+};
+
+/*
+ * [public] Returns a snapshot of the pool's state for debugging, as an object
+ * with properties:
+ *
+ *     connections      array describing each connection that we know about,
+ *                      with properties "key", "backend", "state" ("avail",
+ *                      "drain", or "fallback"), "outstanding" (number of
+ *                      requests using it), "latency" (average request latency
+ *                      in milliseconds, or null), and "serverVersion" (or null)
+ *
+ *     fallback         if there's a fallback connection, an object with its
+ *                      "key" and "ageMs" (time since it became the fallback),
+ *                      and null otherwise
+ *
+ *     counters         object with the pool's debugging counters
+ */
+MorayConnectionPool.prototype.stats = function stats() {
+    var self = this;
+    var connections, fallback;
+
+    connections = Object.keys(this.mcp_conns).sort().map(function (key) {
+        var mconn = self.mcp_conns[key];
+        return ({
+            'key': key,
+            'backend': mconn.mc_backend,
+            'state': connStateName(mconn.mc_state),
+            'outstanding': mconn.mc_nreqs,
+            'latency': mconn.mc_latency,
+            'serverVersion': mconn.mc_conn.serverVersion()
+        });
+    });
+
+    if (this.mcp_conn_fallback !== null) {
+        fallback = {
+            'key': this.mcp_conn_fallback.mc_key,
+            'ageMs': jsprim.hrtimeMillisec(
+                process.hrtime(this.mcp_conn_fallback_time))
+        };
+    } else {
+        fallback = null;
+    }
+
+    return ({
+        'connections': connections,
+        'fallback': fallback,
+        'counters': {
+            'allocOk': this.mcp_nalloc_ok,
+            'allocFail': this.mcp_nalloc_fail,
+            'allocFallback': this.mcp_nalloc_fallback,
+            'allocVersion': this.mcp_nalloc_version,
+            'allocEjected': this.mcp_nalloc_ejected,
+            'released': this.mcp_nreleased,
+            'fallbacks': this.mcp_nfallbacks
+        }
+    });
+};
+
+/*
+ * [private] Returns whether the given connection may be used for requests
+ * (i.e., whether it meets the minimum server version, if any).
+ */
+MorayConnectionPool.prototype.connUsable = function connUsable(mconn) {
+    var version;
+
+    if (this.mcp_min_version === null) {
+        return (true);
+    }
+
+    version = mconn.mc_conn.serverVersion();
+    return (version !== null && version >= this.mcp_min_version);
+};
+
+/*
+ * [private] Given a list of keys of connections in service, returns the keys of
+ * those that may be used for requests: those that meet the minimum server
+ * version and, if possible, are not to ejected backends.
+ */
+MorayConnectionPool.prototype.usableKeys = function usableKeys(keys) {
+    var self = this;
+    var healthy;
+
+    if (this.mcp_min_version !== null) {
+        keys = keys.filter(function (key) {
+            return (self.connUsable(self.mcp_conns[key]));
+        });
+    }
+
+    healthy = keys.filter(function (key) {
+        return (!self.mcp_health.isEjected(self.mcp_conns[key].mc_backend));
+    });
+    if (healthy.length === 0 && keys.length > 0) {
+        this.mcp_log.debug({ 'nconns': keys.length },
+            'all usable connections are to ejected backends');
+        this.mcp_nalloc_ejected++;
+        return (keys);
+    }
+
+    return (healthy);
+};
+
 /*
  * [private] Invoked by cueball when a new connection has been established and
  * is ready for use.  Just add it to our set of available connections.
@@ -286,9 +646,24 @@ MorayConnectionPool.prototype.connAdd = function connAdd(key, conn, hdl) {
     assert.strictEqual(mconn.mc_state, MC_S_AVAIL);
     this.mcp_conns[key] = mconn;
     this.mcp_avail[key] = true;
-    mconn.mc_log.info('new connection');
+    this.mcp_health.connAdded(mconn.mc_backend);
+    if (this.mcp_min_version === null) {
+        mconn.mc_log.info('new connection');
+    } else {
+        mconn.mc_log.info({
+            'serverVersion': conn.serverVersion(),
+            'usable': this.connUsable(mconn)
+        }, 'new connection');
+    }
 
-    this.connFallbackRemove({ 'reason': 'new connection' });
+    /*
+     * The fallback is only needed until we have another connection that can
+     * actually be used for requests.
+     */
+    if (this.connUsable(mconn) &&
+        !this.mcp_health.isEjected(mconn.mc_backend)) {
+        this.connFallbackRemove({ 'reason': 'new connection' });
+    }
 };
 
 /*
@@ -314,16 +689,17 @@ MorayConnectionPool.prototype.connRetire = function (key) {
      */
     delete (this.mcp_avail[key]);
 
+    /*
+     * If there's already a fallback, then it was kept when this connection was
+     * added because this connection could not be used for requests (see
+     * connAdd()), so there's no reason to replace it.
+     */
     assert.bool(mconn.mc_conn.destroyed);
     if (!jsprim.isEmpty(this.mcp_avail) || !this.mcp_fallback_enable ||
-        mconn.mc_conn.destroyed) {
+        mconn.mc_conn.destroyed || this.mcp_conn_fallback !== null) {
         this.connDrain(key);
     } else {
-        /*
-         * This was the last available connection.  There must not already be a
-         * fallback because we would have removed that fallback when we added
-         * this connection.
-         */
+        /* This was the last available connection. */
         assert.strictEqual(this.mcp_conn_fallback, null);
         assert.strictEqual(this.mcp_conn_fallback_time, null);
         mconn.mc_state = MC_S_FALLBACK;
@@ -385,6 +761,7 @@ MorayConnectionPool.prototype.connDelete = function (key) {
      */
     mconn.mc_state = MC_S_DELETED;
     mconn.mc_log.info('removed connection');
+    this.mcp_health.connDeleted(mconn.mc_backend);
     mconn.mc_hdl.release();
 };
 
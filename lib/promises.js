@@ -0,0 +1,313 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/promises.js: promise-based interface to the Moray client.  Every
+ * MorayClient has a "promises" property that's an instance of the
+ * MorayPromiseClient defined here.  Methods on this object take the same
+ * arguments as the same-named methods on the MorayClient, except that
+ * callback-based methods return a Promise instead of taking a callback, and
+ * event-emitter-based methods (findObjects and sql) return an async iterator
+ * over the records emitted by the RPC.
+ *
+ * This is purely a wrapper around the callback-based interface.  All of the
+ * real work (including RPC context management) is still done by the
+ * MorayClient.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+
+///--- Globals
+
+/*
+ * Default for the number of records that a MorayRecordIterator will buffer
+ * before failing the iteration.  See MorayRecordIterator below.
+ */
+var dflMaxBufferedRecords = 10000;
+
+
+///--- Helpers
+
+/*
+ * Methods on the MorayClient whose last argument is a callback of the form
+ * callback(err, result).  These are exposed as functions returning a Promise.
+ */
+var promiseMethods = [
+    'createBucket',
+    'getBucket',
+    'listBuckets',
+    'updateBucket',
+    'deleteBucket',
+    'putBucket',
+    'diffBucket',
+    'migrateBuckets',
+    'putObject',
+    'getObject',
+    'updateObject',
+    'deleteObject',
+    'batch',
+    'updateObjects',
+    'deleteMany',
+    'reindexObjects',
+    'reindexBucket',
+    'getTokens',
+    'ping',
+    'versionInternal',
+    'notify'
+];
+
+/*
+ * Methods on the MorayClient that return an EventEmitter emitting 'record',
+ * 'end', and 'error'.  These are exposed as functions returning an async
+ * iterator.
+ */
+var iteratorMethods = [
+    'findObjects',
+    'sql'
+];
+
+/*
+ * Returns a copy of the given arguments object as an array with any trailing
+ * "undefined" values removed.  This allows callers to write:
+ *
+ *     client.promises.getObject(bucket, key, opts)
+ *
+ * where "opts" may be undefined without confusing the client method's
+ * handling of optional arguments.
+ */
+function trimArguments(args) {
+    var rv = Array.prototype.slice.call(args);
+    while (rv.length > 0 && rv[rv.length - 1] === undefined) {
+        rv.pop();
+    }
+    return (rv);
+}
+
+function makePromiseMethod(client, name) {
+    return (function promiseMethod() {
+        var args = trimArguments(arguments);
+        return (new Promise(function (resolve, reject) {
+            args.push(function onRpcComplete(err, result) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+            client[name].apply(client, args);
+        }));
+    });
+}
+
+/*
+ * Iterator methods accept an additional "maxBufferedRecords" option (see
+ * MorayRecordIterator below).  It's removed from the options object (which is
+ * always the last argument to these methods) before the options are passed to
+ * the client method.
+ */
+function makeIteratorMethod(client, name) {
+    return (function iteratorMethod() {
+        var args = trimArguments(arguments);
+        var last = args.length - 1;
+        var max = dflMaxBufferedRecords;
+
+        if (last > 0 && typeof (args[last]) == 'object' &&
+            args[last] !== null && !Array.isArray(args[last]) &&
+            args[last].hasOwnProperty('maxBufferedRecords')) {
+            assert.number(args[last].maxBufferedRecords,
+                'options.maxBufferedRecords');
+            assert.ok(args[last].maxBufferedRecords > 0,
+                'options.maxBufferedRecords must be positive');
+            max = args[last].maxBufferedRecords;
+            args[last] = jsprim.mergeObjects(args[last]);
+            delete (args[last].maxBufferedRecords);
+        }
+
+        return (new MorayRecordIterator(client[name].apply(client, args), max));
+    });
+}
+
+
+///--- API
+
+/*
+ * See the comment at the top of this file.
+ */
+function MorayPromiseClient(client) {
+    var self = this;
+
+    assert.object(client, 'client');
+
+    promiseMethods.forEach(function (name) {
+        assert.func(client[name], 'client.' + name);
+        self[name] = makePromiseMethod(client, name);
+    });
+
+    iteratorMethods.forEach(function (name) {
+        assert.func(client[name], 'client.' + name);
+        self[name] = makeIteratorMethod(client, name);
+    });
+}
+
+/*
+ * A MorayRecordIterator implements the async iterator protocol on top of an
+ * event-emitter-based RPC (like findObjects).  Records are buffered as they
+ * arrive and handed out by next().  If the RPC fails, the next call to next()
+ * (after any buffered records have been consumed) rejects with the error.
+ *
+ * If the consumer stops iterating early (e.g., by breaking out of a
+ * "for await" loop), the language invokes return(), and we abort the
+ * underlying RPC so that its RPC context is released right away rather than
+ * after the server has finished sending results that nobody will read.  The
+ * resulting RequestAbortedError is not reported to the consumer.
+ *
+ * The underlying RPC cannot be paused, so records that arrive faster than the
+ * consumer reads them accumulate in memory.  To keep a slow consumer of a
+ * large result set from exhausting memory, at most "maxBuffered" records are
+ * buffered.  If another record arrives when the buffer is full, we abort the
+ * RPC, and once the buffered records have been consumed, next() rejects with a
+ * RecordBufferFullError.  Consumers that need larger result sets should page
+ * through them (e.g., using "limit" and "offset") or use the event-emitter
+ * interface directly.
+ */
+function MorayRecordIterator(emitter, maxBuffered) {
+    var self = this;
+
+    assert.object(emitter, 'emitter');
+    assert.optionalNumber(maxBuffered, 'maxBuffered');
+
+    this.mri_emitter = emitter;
+    this.mri_records = [];      /* records received but not yet consumed */
+    this.mri_waiters = [];      /* pending next() calls */
+    this.mri_error = null;      /* error emitted by the RPC, if any */
+    this.mri_ended = false;     /* the RPC has completed (with or w/o error) */
+    this.mri_returned = false;  /* the consumer has stopped iterating */
+    this.mri_overflow = false;  /* the buffer filled and we aborted the RPC */
+    this.mri_max = maxBuffered || dflMaxBufferedRecords;  /* buffer limit */
+
+    emitter.on('record', function onRecord(record) {
+        if (self.mri_returned || self.mri_overflow) {
+            return;
+        }
+
+        if (self.mri_waiters.length > 0) {
+            self.mri_waiters.shift().resolve({
+                'value': record,
+                'done': false
+            });
+        } else if (self.mri_records.length < self.mri_max) {
+            self.mri_records.push(record);
+        } else {
+            self.mri_overflow = true;
+            self.mri_error = new VError({
+                'name': 'RecordBufferFullError',
+                'info': {
+                    'maxBufferedRecords': self.mri_max
+                }
+            }, 'more than %d records received before being consumed',
+                self.mri_max);
+            if (typeof (emitter.abort) == 'function') {
+                emitter.abort();
+            }
+        }
+    });
+
+    emitter.on('end', function onEnd() {
+        self.mri_ended = true;
+        self.flushWaiters();
+    });
+
+    emitter.on('error', function onError(err) {
+        self.mri_ended = true;
+        if (!self.mri_returned && !self.mri_overflow) {
+            self.mri_error = err;
+        }
+        self.flushWaiters();
+    });
+}
+
+/*
+ * [private] Invoked once the RPC has completed to resolve (or reject) any
+ * next() calls that are still waiting for records.  Since we only queue
+ * waiters when there are no buffered records, there's nothing left for them.
+ */
+MorayRecordIterator.prototype.flushWaiters = function flushWaiters() {
+    var waiters = this.mri_waiters;
+    var err;
+
+    this.mri_waiters = [];
+    waiters.forEach(function (w) {
+        if (this.mri_error !== null) {
+            err = this.mri_error;
+            this.mri_error = null;
+            this.mri_returned = true;
+            w.reject(err);
+        } else {
+            w.resolve({ 'value': undefined, 'done': true });
+        }
+    }, this);
+};
+
+MorayRecordIterator.prototype.next = function next() {
+    var self = this;
+    var err;
+
+    if (this.mri_records.length > 0) {
+        return (Promise.resolve({
+            'value': this.mri_records.shift(),
+            'done': false
+        }));
+    }
+
+    if (this.mri_error !== null) {
+        err = this.mri_error;
+        this.mri_error = null;
+        this.mri_returned = true;
+        return (Promise.reject(err));
+    }
+
+    if (this.mri_ended || this.mri_returned) {
+        return (Promise.resolve({ 'value': undefined, 'done': true }));
+    }
+
+    return (new Promise(function (resolve, reject) {
+        self.mri_waiters.push({ 'resolve': resolve, 'reject': reject });
+    }));
+};
+
+MorayRecordIterator.prototype.return = function _return(value) {
+    this.mri_returned = true;
+    this.mri_records = [];
+    this.mri_error = null;
+
+    if (!this.mri_ended && typeof (this.mri_emitter.abort) == 'function') {
+        this.mri_emitter.abort();
+    }
+
+    this.flushWaiters();
+    return (Promise.resolve({ 'value': value, 'done': true }));
+};
+
+if (typeof (Symbol) == 'function' && Symbol.asyncIterator !== undefined) {
+    MorayRecordIterator.prototype[Symbol.asyncIterator] = function () {
+        return (this);
+    };
+}
+
+
+///--- Exports
+
+module.exports = {
+    MorayPromiseClient: MorayPromiseClient,
+    MorayRecordIterator: MorayRecordIterator
+};
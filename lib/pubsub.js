@@ -0,0 +1,387 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/pubsub.js: publish/subscribe on top of PostgreSQL notifications.
+ *
+ * Moray exposes PostgreSQL's LISTEN and NOTIFY: a "listen" RPC subscribes to a
+ * single channel, and notify() sends a string payload with "pg_notify()".  The
+ * functions here add:
+ *
+ *     o encodePayload(), which JSON-encodes payloads that aren't already
+ *       strings and checks them against PostgreSQL's payload size limit, so
+ *       that notify() fails clearly rather than with an opaque SQL error,
+ *       and decodePayload(), which reverses it.
+ *
+ *     o MoraySubscription, which covers any number of channels (with one
+ *       resubscribing listen() request for each -- see lib/listener.js), and
+ *       delivers each notification's decoded payload to the handlers
+ *       registered for its channel.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+
+///--- Globals
+
+/*
+ * PostgreSQL (in its default configuration) requires notification payloads to
+ * be shorter than 8000 bytes.
+ */
+var notifyMaxPayloadBytes = 7999;
+
+/*
+ * JSON-encoded payloads are prefixed with an ASCII record separator (as in
+ * RFC 7464 JSON text sequences) so that they can be told apart from strings
+ * sent as-is.  Otherwise, a string like "123" or "{}" sent by a publisher that
+ * doesn't use JSON would be decoded by subscribers into a number or object.
+ */
+var notifyJsonMarker = '\u001e';
+
+
+///--- API
+
+/*
+ * Returns the string to send as the payload of a notification on "channel":
+ * "payload" itself if it's a string, or its marked JSON encoding otherwise.
+ * Returns an Error if the payload cannot be encoded or is too large.
+ */
+function encodePayload(channel, payload) {
+    var encoded, nbytes;
+
+    assert.string(channel, 'channel');
+
+    if (typeof (payload) == 'string') {
+        encoded = payload;
+    } else {
+        try {
+            encoded = JSON.stringify(payload);
+        } catch (ex) {
+            return (new VError({
+                'name': 'InvalidNotificationError',
+                'cause': ex,
+                'info': { 'channel': channel }
+            }, 'notify "%s": failed to encode payload', channel));
+        }
+
+        if (encoded === undefined) {
+            return (new VError({
+                'name': 'InvalidNotificationError',
+                'info': { 'channel': channel }
+            }, 'notify "%s": payload cannot be encoded as JSON', channel));
+        }
+
+        encoded = notifyJsonMarker + encoded;
+    }
+
+    nbytes = Buffer.byteLength(encoded, 'utf8');
+    if (nbytes > notifyMaxPayloadBytes) {
+        return (new VError({
+            'name': 'NotificationTooLargeError',
+            'info': {
+                'channel': channel,
+                'length': nbytes,
+                'maxLength': notifyMaxPayloadBytes
+            }
+        }, 'notify "%s": payload is %d bytes (maximum is %d)', channel,
+            nbytes, notifyMaxPayloadBytes));
+    }
+
+    return (encoded);
+}
+
+/*
+ * Returns the value of a payload received in a notification: the decoded value
+ * if it was JSON-encoded by encodePayload(), or the payload itself otherwise.
+ * A marked payload that isn't valid JSON was not sent by encodePayload(), so
+ * it's also returned as-is.
+ */
+function decodePayload(payload) {
+    assert.string(payload, 'payload');
+
+    if (payload.charAt(0) != notifyJsonMarker) {
+        return (payload);
+    }
+
+    try {
+        return (JSON.parse(payload.substr(1)));
+    } catch (ex) {
+        return (payload);
+    }
+}
+
+/*
+ * Named arguments:
+ *
+ *     client       MorayClient used for listen() requests
+ *     (object)
+ *
+ *     channels     object mapping the names of the channels to subscribe to
+ *     (object)     initially to a handler function for each (or null)
+ *
+ *     decode       if false, payloads are delivered as received rather than
+ *     (boolean)    decoded (default: true)
+ *
+ *     options      options for each listen() request
+ *     (object)
+ *
+ * Each notification is emitted as "message" with an object with properties
+ * "channel", "payload" (decoded with decodePayload(), unless "decode" is
+ * false), and "processId" (the PID of the server-side PostgreSQL process that
+ * sent it, or null if the server didn't report it).  The handlers for its
+ * channel are then invoked with the payload and the same object.  Strings sent
+ * as-is (by notify(), or by a client that predates encodePayload()) are
+ * delivered as the original string, even if they look like JSON.
+ *
+ * The subscription also passes through the "gap" and "reconnected" events of
+ * each channel's listener (see lib/listener.js), whose arguments identify the
+ * channel.  If a listener fails with a non-transient error, its channel is
+ * removed from the subscription and a SubscriptionError is emitted as "error".
+ * The subscription emits "end" once close() has completed (or once every
+ * channel's listener has ended because the client was closed).
+ */
+function MoraySubscription(args) {
+    var self = this;
+
+    assert.object(args, 'args');
+    assert.object(args.client, 'args.client');
+    assert.object(args.channels, 'args.channels');
+    assert.optionalBool(args.decode, 'args.decode');
+    assert.object(args.options, 'args.options');
+
+    EventEmitter.call(this);
+
+    this.msu_client = args.client;
+    this.msu_decode = args.decode !== false;
+    this.msu_options = jsprim.mergeObjects(args.options,
+        { 'resubscribe': true });
+
+    /*
+     * Subscribed channels, by name.  Each value has properties "listener" (the
+     * channel's listen() stream) and "handlers".
+     */
+    this.msu_channels = {};
+    this.msu_nlisteners = 0;    /* listeners that have not yet ended */
+    this.msu_closing = false;   /* close() has been called */
+    this.msu_ended = false;     /* "end" has been emitted */
+
+    jsprim.forEachKey(args.channels, function (channel, handler) {
+        self.add(channel, handler);
+    });
+}
+
+util.inherits(MoraySubscription, EventEmitter);
+
+/*
+ * Adds "handler" (which may be null) for notifications on "channel",
+ * subscribing to the channel if it isn't already.
+ */
+MoraySubscription.prototype.add = function add(channel, handler) {
+    var entry;
+
+    assert.string(channel, 'channel');
+    if (handler !== null) {
+        assert.func(handler, 'handler');
+    }
+    assert.ok(!this.msu_closing, 'subscription has been closed');
+
+    if (this.msu_channels.hasOwnProperty(channel)) {
+        entry = this.msu_channels[channel];
+    } else {
+        entry = {
+            'listener': this.listen(channel),
+            'handlers': []
+        };
+        this.msu_channels[channel] = entry;
+    }
+
+    if (handler !== null) {
+        entry.handlers.push(handler);
+    }
+};
+
+/*
+ * Unsubscribes from "channel".  "callback" is invoked once the server has
+ * acknowledged the "unlisten" request.
+ */
+MoraySubscription.prototype.remove = function remove(channel, callback) {
+    var entry;
+
+    assert.string(channel, 'channel');
+    assert.func(callback, 'callback');
+
+    if (!this.msu_channels.hasOwnProperty(channel)) {
+        setImmediate(callback);
+        return;
+    }
+
+    entry = this.msu_channels[channel];
+    delete (this.msu_channels[channel]);
+    entry.listener.unlisten(callback);
+};
+
+/*
+ * Returns the names of the channels currently subscribed to.
+ */
+MoraySubscription.prototype.channels = function channels() {
+    return (Object.keys(this.msu_channels));
+};
+
+/*
+ * Unsubscribes from all channels.  "callback" is invoked (with the first error
+ * reported by any "unlisten" request) once all of them have been
+ * acknowledged, and "end" is emitted once every listener has ended.
+ */
+MoraySubscription.prototype.close = function close(callback) {
+    var self = this;
+    var channels, nleft, error;
+
+    assert.optionalFunc(callback, 'callback');
+
+    this.msu_closing = true;
+    channels = this.channels();
+    nleft = channels.length;
+    error = null;
+
+    if (nleft === 0) {
+        setImmediate(function () {
+            self.finish();
+            if (callback) {
+                callback();
+            }
+        });
+        return;
+    }
+
+    channels.forEach(function (channel) {
+        self.remove(channel, function (err) {
+            if (err && error === null) {
+                error = err;
+            }
+
+            if (--nleft === 0 && callback) {
+                callback(error);
+            }
+        });
+    });
+};
+
+/*
+ * [private] Issues a resubscribing listen() request for "channel".
+ */
+MoraySubscription.prototype.listen = function listen(channel) {
+    var self = this;
+    var listener;
+
+    listener = this.msu_client.listen(channel, this.msu_options);
+    this.msu_nlisteners++;
+
+    listener.on('data', function onSubscriptionNotification(notification) {
+        self.deliver(channel, listener, notification);
+    });
+
+    listener.on('gap', function onSubscriptionGap(gap) {
+        self.emit('gap', gap);
+    });
+
+    listener.on('reconnected', function onSubscriptionReconnected(info) {
+        self.emit('reconnected', info);
+    });
+
+    listener.on('error', function onSubscriptionError(err) {
+        if (self.msu_channels.hasOwnProperty(channel) &&
+            self.msu_channels[channel].listener === listener) {
+            delete (self.msu_channels[channel]);
+        }
+
+        self.emit('error', new VError({
+            'name': 'SubscriptionError',
+            'cause': err,
+            'info': { 'channel': channel }
+        }, 'subscription to channel "%s"', channel));
+    });
+
+    listener.on('end', function onSubscriptionEnd() {
+        /*
+         * A resubscribing listener only ends on its own when the client is
+         * closed, in which case the subscription is over.
+         */
+        if (self.msu_channels.hasOwnProperty(channel) &&
+            self.msu_channels[channel].listener === listener) {
+            delete (self.msu_channels[channel]);
+            self.msu_closing = true;
+        }
+
+        if (--self.msu_nlisteners === 0 && self.msu_closing) {
+            self.finish();
+        }
+    });
+
+    return (listener);
+};
+
+/*
+ * [private] Decodes a notification received by "listener" on "channel" and
+ * delivers it.
+ */
+MoraySubscription.prototype.deliver =
+    function deliver(channel, listener, notification) {
+    var entry, payload, message;
+
+    entry = this.msu_channels.hasOwnProperty(channel) ?
+        this.msu_channels[channel] : null;
+    if (entry === null || entry.listener !== listener) {
+        /* We've unsubscribed since this was sent. */
+        return;
+    }
+
+    payload = notification.payload;
+    if (this.msu_decode) {
+        payload = decodePayload(payload);
+    }
+
+    message = {
+        'channel': channel,
+        'payload': payload,
+        'processId': typeof (notification.processId) == 'number' ?
+            notification.processId : null
+    };
+
+    this.emit('message', message);
+    entry.handlers.forEach(function (handler) {
+        handler(message.payload, message);
+    });
+};
+
+/*
+ * [private] Emits "end" (once).
+ */
+MoraySubscription.prototype.finish = function finish() {
+    if (this.msu_ended) {
+        return;
+    }
+
+    this.msu_ended = true;
+    this.emit('end');
+};
+
+
+///--- Exports
+
+module.exports = {
+    decodePayload: decodePayload,
+    encodePayload: encodePayload,
+    MoraySubscription: MoraySubscription
+};
@@ -0,0 +1,512 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/reindex.js: reindexing all of a bucket's objects.
+ *
+ * When indexes are added to a bucket that already contains objects, the server
+ * records the new fields in the bucket's "reindex_active" property and does
+ * not use them in filters until every object has been reindexed.  Each
+ * reindexObjects() request reindexes up to "count" objects and reports how
+ * many it processed; once a request processes none, reindexing is complete
+ * and the server clears "reindex_active".
+ *
+ * The reindexer issues reindexObjects() requests until that happens:
+ *
+ *     o Up to "concurrency" requests are outstanding at once.
+ *
+ *     o The count for each request starts at "batchSize" and adapts to the
+ *       server's latency: it's halved whenever a request takes longer than
+ *       "targetLatency", and doubled (up to "maxBatchSize") whenever a full
+ *       batch takes less than half that.
+ *
+ *     o If "maxRate" is specified, requests are delayed as needed to keep the
+ *       average number of objects reindexed per second below it, and no
+ *       request asks for more than "maxRate" objects.
+ *
+ *     o Since reindexing is idempotent, requests that fail with transient
+ *       errors (see errors.isTransient()) are retried with backoff, up to
+ *       "maxRetries" consecutive times.
+ *
+ *     o The reindexer can be paused, which stops it from issuing new requests
+ *       (outstanding ones still complete), and resumed.
+ *
+ * The bucket's configuration is fetched at the start, periodically while
+ * reindexing, and at the end, so that progress reports include the fields that
+ * are still being reindexed.
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+var mod_errors = require('./errors');
+var MorayRetryPolicy = require('./retry').MorayRetryPolicy;
+
+
+///--- Globals
+
+var dflReindexBatchSize = 100;
+var dflReindexMaxBatchSize = 1000;
+var dflReindexConcurrency = 1;
+var dflReindexTargetLatency = 1000;  /* milliseconds */
+var dflReindexMaxRetries = 10;
+
+/* minimum interval between fetches of the bucket's configuration */
+var reindexRefreshInterval = 5000;   /* milliseconds */
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     client           MorayClient used for getBucket() and reindexObjects()
+ *     (object)
+ *
+ *     bucket           name of the bucket to reindex
+ *     (string)
+ *
+ *     batchSize        initial number of objects to reindex per request
+ *     (number)         (default: 100)
+ *
+ *     maxBatchSize     maximum number of objects to reindex per request
+ *     (number)         (default: 1000, or "batchSize" if that's larger)
+ *
+ *     targetLatency    request latency (in milliseconds) used to adapt the
+ *     (number)         batch size (default: 1000)
+ *
+ *     concurrency      maximum number of outstanding requests (default: 1)
+ *     (number)
+ *
+ *     maxRate          optional maximum average number of objects to reindex
+ *     (number)         per second
+ *
+ *     maxRetries       maximum number of consecutive retries after transient
+ *     (number)         errors (default: 10)
+ *
+ *     onProgress       optional function invoked with the same object returned
+ *     (function)       by stats() after each request that reindexed objects
+ *
+ *     options          options for each request (e.g., "timeout")
+ *     (object)
+ *
+ * Call start() to begin reindexing.
+ */
+function MorayBucketReindexer(args) {
+    assert.object(args, 'args');
+    assert.object(args.client, 'args.client');
+    assert.string(args.bucket, 'args.bucket');
+    assert.optionalNumber(args.batchSize, 'args.batchSize');
+    assert.optionalNumber(args.maxBatchSize, 'args.maxBatchSize');
+    assert.optionalNumber(args.targetLatency, 'args.targetLatency');
+    assert.optionalNumber(args.concurrency, 'args.concurrency');
+    assert.optionalNumber(args.maxRate, 'args.maxRate');
+    assert.optionalNumber(args.maxRetries, 'args.maxRetries');
+    assert.optionalFunc(args.onProgress, 'args.onProgress');
+    assert.optionalObject(args.options, 'args.options');
+
+    this.mbr_client = args.client;
+    this.mbr_bucket = args.bucket;
+    this.mbr_batchsize = args.batchSize || dflReindexBatchSize;
+    this.mbr_maxbatchsize = Math.max(this.mbr_batchsize,
+        args.maxBatchSize || dflReindexMaxBatchSize);
+    this.mbr_latency = args.targetLatency || dflReindexTargetLatency;
+    this.mbr_concurrency = args.concurrency || dflReindexConcurrency;
+    this.mbr_maxrate = args.maxRate || null;
+    this.mbr_onprogress = args.onProgress || null;
+    this.mbr_options = args.options || {};
+    assert.ok(this.mbr_batchsize > 0 &&
+        Math.floor(this.mbr_batchsize) === this.mbr_batchsize,
+        'batchSize must be a positive integer');
+    assert.ok(this.mbr_concurrency > 0 &&
+        Math.floor(this.mbr_concurrency) === this.mbr_concurrency,
+        'concurrency must be a positive integer');
+    assert.ok(this.mbr_maxrate === null || this.mbr_maxrate > 0,
+        'maxRate must be positive');
+
+    /*
+     * Limit each request to one second's worth of objects so that a single
+     * request can't overshoot the rate by much.
+     */
+    if (this.mbr_maxrate !== null) {
+        this.mbr_maxbatchsize = Math.max(1,
+            Math.min(this.mbr_maxbatchsize, Math.floor(this.mbr_maxrate)));
+        this.mbr_batchsize = Math.min(this.mbr_batchsize,
+            this.mbr_maxbatchsize);
+    }
+
+    /* retry policy for requests that fail with transient errors */
+    this.mbr_policy = new MorayRetryPolicy({
+        'maxAttempts': (args.maxRetries !== undefined ?
+            args.maxRetries : dflReindexMaxRetries) + 1
+    });
+
+    /*
+     * Each of the "concurrency" workers issues one request at a time.  A
+     * worker is an object with properties "nfailures" (the number of
+     * consecutive failed requests) and "backoff" (for retrying them).
+     */
+    this.mbr_callback = null;   /* caller's callback, once started */
+    this.mbr_finished = false;  /* the callback has been invoked */
+    this.mbr_nworkers = 0;      /* workers issuing requests */
+    this.mbr_parked = [];       /* workers waiting to be resumed */
+    this.mbr_done = false;      /* a request has processed no objects */
+    this.mbr_error = null;      /* error that failed the reindex */
+
+    this.mbr_paused = false;
+    this.mbr_pausestart = null; /* when the reindexer was last paused */
+    this.mbr_pausedms = 0;      /* total time paused */
+
+    this.mbr_fields = [];       /* fields still being reindexed */
+    this.mbr_refreshing = false;
+    this.mbr_lastrefresh = 0;
+
+    this.mbr_start = null;
+    this.mbr_nprocessed = 0;    /* objects reindexed */
+    this.mbr_nrequests = 0;     /* successful reindexObjects() requests */
+    this.mbr_nretries = 0;      /* requests retried after transient errors */
+}
+
+/*
+ * Begins reindexing.  "callback" is invoked as callback(err, stats) once every
+ * object has been reindexed (or reindexing has failed), where "stats" is the
+ * final result of stats().
+ */
+MorayBucketReindexer.prototype.start = function start(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+    assert.ok(this.mbr_callback === null, 'reindexer already started');
+
+    this.mbr_callback = callback;
+    this.mbr_start = Date.now();
+    this.refresh(function (err) {
+        var i;
+
+        if (err) {
+            self.mbr_error = err;
+            self.maybeFinish();
+            return;
+        }
+
+        if (self.mbr_fields.length === 0) {
+            /* Nothing to reindex. */
+            self.mbr_done = true;
+            self.maybeFinish();
+            return;
+        }
+
+        for (i = 0; i < self.mbr_concurrency; i++) {
+            self.mbr_nworkers++;
+            self.work({ 'nfailures': 0, 'backoff': null });
+        }
+    });
+};
+
+/*
+ * Stops issuing new requests until resume() is called.  Requests that are
+ * already outstanding still complete.
+ */
+MorayBucketReindexer.prototype.pause = function pause() {
+    if (this.mbr_paused) {
+        return;
+    }
+
+    this.mbr_paused = true;
+    this.mbr_pausestart = Date.now();
+};
+
+MorayBucketReindexer.prototype.resume = function resume() {
+    var parked;
+
+    if (!this.mbr_paused) {
+        return;
+    }
+
+    this.mbr_paused = false;
+    this.mbr_pausedms += Date.now() - this.mbr_pausestart;
+    this.mbr_pausestart = null;
+
+    parked = this.mbr_parked;
+    this.mbr_parked = [];
+    parked.forEach(function (resumeWorker) {
+        setImmediate(resumeWorker);
+    });
+};
+
+/*
+ * Returns an object describing the progress of reindexing:
+ *
+ *     processed        number of objects reindexed
+ *
+ *     requests         number of successful reindexObjects() requests
+ *
+ *     retries          number of requests retried after transient errors
+ *
+ *     batchSize        current number of objects reindexed per request
+ *
+ *     elapsed          milliseconds spent reindexing, not counting time spent
+ *                      paused
+ *
+ *     rate             objects reindexed per second (over "elapsed")
+ *
+ *     remainingFields  fields still being reindexed, as of the last time the
+ *                      bucket's configuration was fetched
+ *
+ *     paused           whether the reindexer is paused
+ */
+MorayBucketReindexer.prototype.stats = function stats() {
+    var elapsed = this.elapsed();
+
+    return ({
+        'processed': this.mbr_nprocessed,
+        'requests': this.mbr_nrequests,
+        'retries': this.mbr_nretries,
+        'batchSize': this.mbr_batchsize,
+        'elapsed': elapsed,
+        'rate': elapsed > 0 ?
+            Math.round(this.mbr_nprocessed * 1000 / elapsed) : 0,
+        'remainingFields': this.mbr_fields.slice(0),
+        'paused': this.mbr_paused
+    });
+};
+
+/*
+ * [private] Returns the time spent reindexing so far, not counting time spent
+ * paused.
+ */
+MorayBucketReindexer.prototype.elapsed = function elapsed() {
+    var now, paused;
+
+    if (this.mbr_start === null) {
+        return (0);
+    }
+
+    now = Date.now();
+    paused = this.mbr_pausedms;
+    if (this.mbr_pausestart !== null) {
+        paused += now - this.mbr_pausestart;
+    }
+
+    return (now - this.mbr_start - paused);
+};
+
+/*
+ * [private] Issues the next request for "worker", unless reindexing is
+ * finished or paused, or the rate limit requires waiting.
+ */
+MorayBucketReindexer.prototype.work = function work(worker) {
+    var self = this;
+    var delay, count, start;
+
+    if (this.mbr_done || this.mbr_error !== null) {
+        this.mbr_nworkers--;
+        this.maybeFinish();
+        return;
+    }
+
+    if (this.mbr_paused) {
+        this.mbr_parked.push(function () {
+            self.work(worker);
+        });
+        return;
+    }
+
+    if (this.mbr_maxrate !== null) {
+        delay = Math.ceil(this.mbr_nprocessed * 1000 / this.mbr_maxrate) -
+            this.elapsed();
+        if (delay > 0) {
+            setTimeout(function () {
+                self.work(worker);
+            }, delay);
+            return;
+        }
+    }
+
+    count = this.mbr_batchsize;
+    start = Date.now();
+    this.mbr_client.reindexObjects(this.mbr_bucket, count, this.mbr_options,
+        function (err, res) {
+        if (err) {
+            self.onError(worker, err);
+            return;
+        }
+
+        worker.nfailures = 0;
+        worker.backoff = null;
+        self.mbr_nrequests++;
+        if (res.processed === 0) {
+            self.mbr_done = true;
+        } else {
+            self.mbr_nprocessed += res.processed;
+            self.adapt(count, res.processed, Date.now() - start);
+            self.maybeRefresh();
+            if (self.mbr_onprogress !== null) {
+                self.mbr_onprogress(self.stats());
+            }
+        }
+
+        self.work(worker);
+    });
+};
+
+/*
+ * [private] Adjusts the batch size based on how long a request for "count"
+ * objects took to process "processed" objects.
+ */
+MorayBucketReindexer.prototype.adapt = function adapt(count, processed,
+    latency) {
+    if (latency > this.mbr_latency) {
+        this.mbr_batchsize = Math.max(1, Math.floor(count / 2));
+    } else if (latency < this.mbr_latency / 2 && processed >= count &&
+        count == this.mbr_batchsize) {
+        this.mbr_batchsize = Math.min(this.mbr_maxbatchsize, count * 2);
+    }
+};
+
+/*
+ * [private] Retries a request from "worker" that failed with a transient error
+ * after a backoff delay, or fails the reindex.
+ */
+MorayBucketReindexer.prototype.onError = function onError(worker, err) {
+    var self = this;
+
+    worker.nfailures++;
+    if (this.mbr_error === null && mod_errors.isTransient(err) &&
+        worker.nfailures < this.mbr_policy.maxAttempts()) {
+        if (worker.backoff === null) {
+            worker.backoff = this.mbr_policy.createBackoff();
+        }
+
+        this.mbr_nretries++;
+        worker.backoff.once('ready', function () {
+            self.work(worker);
+        });
+        worker.backoff.backoff(err);
+        return;
+    }
+
+    if (this.mbr_error === null) {
+        this.mbr_error = new VError({
+            'name': 'ReindexError',
+            'cause': err,
+            'info': {
+                'bucket': this.mbr_bucket,
+                'processed': this.mbr_nprocessed
+            }
+        }, 'reindex bucket "%s"', this.mbr_bucket);
+    }
+
+    this.work(worker);
+};
+
+/*
+ * [private] Fetches the bucket's configuration to update the list of fields
+ * being reindexed.
+ */
+MorayBucketReindexer.prototype.refresh = function refresh(callback) {
+    var self = this;
+
+    this.mbr_refreshing = true;
+    this.mbr_client.getBucket(this.mbr_bucket, this.mbr_options,
+        function (err, bucket) {
+        self.mbr_refreshing = false;
+        self.mbr_lastrefresh = Date.now();
+        if (err) {
+            callback(new VError({
+                'name': 'ReindexError',
+                'cause': err,
+                'info': {
+                    'bucket': self.mbr_bucket,
+                    'processed': self.mbr_nprocessed
+                }
+            }, 'reindex bucket "%s": fetch bucket', self.mbr_bucket));
+            return;
+        }
+
+        self.mbr_fields = reindexingFields(bucket);
+        callback();
+    });
+};
+
+/*
+ * [private] Refreshes the list of fields being reindexed if it's stale.  Since
+ * the list is only informational while reindexing, failures are ignored.
+ */
+MorayBucketReindexer.prototype.maybeRefresh = function maybeRefresh() {
+    if (this.mbr_refreshing ||
+        Date.now() - this.mbr_lastrefresh < reindexRefreshInterval) {
+        return;
+    }
+
+    this.refresh(function () {});
+};
+
+/*
+ * [private] Invokes the caller's callback once every worker has stopped.  On
+ * success, the bucket's configuration is fetched one last time so that the
+ * final stats reflect any fields still being reindexed (which should be none,
+ * unless the bucket was updated again in the meantime).
+ */
+MorayBucketReindexer.prototype.maybeFinish = function maybeFinish() {
+    var self = this;
+    var callback;
+
+    if (this.mbr_nworkers > 0 || this.mbr_finished) {
+        return;
+    }
+
+    this.mbr_finished = true;
+    callback = this.mbr_callback;
+    if (this.mbr_error !== null) {
+        callback(this.mbr_error, this.stats());
+        return;
+    }
+
+    if (this.mbr_nrequests === 0) {
+        callback(null, this.stats());
+        return;
+    }
+
+    this.refresh(function (err) {
+        if (err) {
+            callback(err, self.stats());
+        } else {
+            callback(null, self.stats());
+        }
+    });
+};
+
+
+///--- Helpers
+
+/*
+ * Returns the fields of the parsed bucket configuration "bucket" that are
+ * still being reindexed.
+ */
+function reindexingFields(bucket) {
+    var rv = [];
+
+    if (bucket.reindex_active) {
+        Object.keys(bucket.reindex_active).forEach(function (version) {
+            rv = rv.concat(bucket.reindex_active[version]);
+        });
+    }
+
+    return (rv);
+}
+
+
+///--- Exports
+
+module.exports = {
+    MorayBucketReindexer: MorayBucketReindexer,
+    reindexingFields: reindexingFields
+};
@@ -0,0 +1,140 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/retry.js: retry policy for idempotent RPCs
+ *
+ * By default, the Moray client reports any failure of an RPC directly to the
+ * caller.  Consumers may instead opt into a retry policy using the "retry"
+ * constructor option.  When a policy is configured, idempotent RPCs (see
+ * MorayClient.ctxRunWithRetry()) that fail with one of the configured
+ * retryable errors are re-issued after an exponential backoff delay (with
+ * jitter), up to a maximum number of attempts.  Each attempt allocates a new
+ * RPC context, which means that it may be serviced by a different connection
+ * (and backend) than the previous attempt.
+ *
+ * The default set of retryable errors covers failures where we know the
+ * request was not processed by the server (or where reprocessing is harmless
+ * because the request is idempotent) and where a different connection is
+ * likely to succeed: transport and protocol failures on a connection, and the
+ * lack of any available connection (e.g., while cueball is rebalancing).
+ */
+
+var assert = require('assert-plus');
+var backoff = require('backoff');
+var VError = require('verror');
+
+
+///--- Default values for the retry policy
+
+var dflRetryMaxAttempts = 3;
+var dflRetryMinDelay = 100;     /* milliseconds */
+var dflRetryMaxDelay = 5000;    /* milliseconds */
+var dflRetryJitter = 0.5;
+var dflRetryableErrors = [
+    'FastProtocolError',
+    'FastTransportError',
+    'NoBackendsError'
+];
+
+
+///--- API
+
+/*
+ * Named arguments (all optional):
+ *
+ *     maxAttempts          total number of attempts for each RPC, including the
+ *     (number)             first one.  This must be at least 1.
+ *
+ *     minDelay             delay (in milliseconds) before the first retry
+ *     (number)
+ *
+ *     maxDelay             maximum delay (in milliseconds) between attempts
+ *     (number)
+ *
+ *     jitter               randomisation factor (between 0 and 1) applied to
+ *     (number)             each delay
+ *
+ *     retryableErrors      names of errors that may be retried.  An error is
+ *     (array of string)    retryable if any error in its cause chain has one of
+ *                          these names.
+ */
+function MorayRetryPolicy(args) {
+    assert.object(args, 'args');
+    assert.optionalNumber(args.maxAttempts, 'args.maxAttempts');
+    assert.optionalNumber(args.minDelay, 'args.minDelay');
+    assert.optionalNumber(args.maxDelay, 'args.maxDelay');
+    assert.optionalNumber(args.jitter, 'args.jitter');
+    assert.optionalArrayOfString(args.retryableErrors,
+        'args.retryableErrors');
+
+    this.mrp_max_attempts = args.maxAttempts !== undefined ?
+        args.maxAttempts : dflRetryMaxAttempts;
+    this.mrp_min_delay = args.minDelay !== undefined ?
+        args.minDelay : dflRetryMinDelay;
+    this.mrp_max_delay = args.maxDelay !== undefined ?
+        args.maxDelay : dflRetryMaxDelay;
+    this.mrp_jitter = args.jitter !== undefined ?
+        args.jitter : dflRetryJitter;
+    this.mrp_retryable = args.retryableErrors !== undefined ?
+        args.retryableErrors.slice(0) : dflRetryableErrors.slice(0);
+
+    assert.ok(this.mrp_max_attempts >= 1 &&
+        Math.floor(this.mrp_max_attempts) === this.mrp_max_attempts,
+        'retry.maxAttempts must be a positive integer');
+    assert.ok(this.mrp_min_delay > 0, 'retry.minDelay must be positive');
+    assert.ok(this.mrp_max_delay >= this.mrp_min_delay,
+        'retry.maxDelay must be at least retry.minDelay');
+    assert.ok(this.mrp_jitter >= 0 && this.mrp_jitter <= 1,
+        'retry.jitter must be between 0 and 1');
+}
+
+/*
+ * Returns the name of the first retryable error in the cause chain of "err",
+ * or null if "err" is not retryable.  This works the same way regardless of
+ * whether the client was configured with "unwrapErrors" because unwrapping
+ * only removes Fast-level wrappers around the root cause.
+ */
+MorayRetryPolicy.prototype.retryableName = function retryableName(err) {
+    var i;
+
+    assert.ok(err instanceof Error, 'err');
+    for (i = 0; i < this.mrp_retryable.length; i++) {
+        if (VError.findCauseByName(err, this.mrp_retryable[i]) !== null) {
+            return (this.mrp_retryable[i]);
+        }
+    }
+
+    return (null);
+};
+
+/*
+ * Returns a new "backoff" object for a single RPC.  Callers invoke backoff()
+ * after each failed attempt and make the next attempt when it emits "ready".
+ * Callers are responsible for checking maxAttempts() before backing off.
+ */
+MorayRetryPolicy.prototype.createBackoff = function createBackoff() {
+    return (backoff.exponential({
+        'initialDelay': this.mrp_min_delay,
+        'maxDelay': this.mrp_max_delay,
+        'randomisationFactor': this.mrp_jitter
+    }));
+};
+
+MorayRetryPolicy.prototype.maxAttempts = function maxAttempts() {
+    return (this.mrp_max_attempts);
+};
+
+
+///--- Exports
+
+module.exports = {
+    MorayRetryPolicy: MorayRetryPolicy
+};
@@ -6,6 +6,7 @@
 
 /*
  * Copyright (c) 2016, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -16,12 +17,99 @@ var assert = require('assert-plus');
 var VError = require('verror');
 
 
+///--- Globals
+
+/*
+ * For RPC methods that operate on a bucket, the positions of the bucket name
+ * and (if any) the filter in the RPC arguments.  These are reported with
+ * requests that take a long time (see requestDetails()).
+ */
+var rpcArgPositions = {
+    'createBucket': { 'bucket': 0 },
+    'getBucket': { 'bucket': 1 },
+    'updateBucket': { 'bucket': 0 },
+    'delBucket': { 'bucket': 0 },
+    'putObject': { 'bucket': 0 },
+    'getObject': { 'bucket': 0 },
+    'delObject': { 'bucket': 0 },
+    'findObjects': { 'bucket': 0, 'filter': 1 },
+    'updateObjects': { 'bucket': 0, 'filter': 2 },
+    'deleteMany': { 'bucket': 0, 'filter': 1 },
+    'reindexObjects': { 'bucket': 0 }
+};
+
+
 ///--- API
 
 function childLogger(rpcctx, options) {
     return (rpcctx.createLog(options));
 }
 
+/*
+ * Returns the client-side timeout (in milliseconds) to use for an RPC, or
+ * undefined if the RPC should not time out.  "method" is the name of the client
+ * method being invoked (which is how per-method timeouts are configured),
+ * "options" are the caller's request options, and "dfl" is an optional
+ * built-in default for this particular method.  In order of precedence, we
+ * use:
+ *
+ *     o a "timeout" specified in the request options
+ *     o a timeout configured for this method on the client ("timeouts")
+ *     o the built-in default for this method, if any
+ *     o the default timeout configured on the client ("defaultTimeout")
+ */
+function requestTimeout(rpcctx, method, options, dfl) {
+    var timeout;
+
+    assert.object(rpcctx, 'rpcctx');
+    assert.string(method, 'method');
+    assert.object(options, 'options');
+    assert.optionalNumber(dfl, 'dfl');
+
+    if (typeof (options.timeout) == 'number') {
+        return (options.timeout);
+    }
+
+    timeout = rpcctx.methodTimeout(method);
+    if (timeout !== undefined) {
+        return (timeout);
+    }
+
+    if (dfl !== undefined) {
+        return (dfl);
+    }
+
+    return (rpcctx.defaultTimeout());
+}
+
+/*
+ * Returns an object describing an RPC with method "rpcmethod" and arguments
+ * "rpcargs", with properties "bucket" and "filter" (each null if not
+ * applicable).
+ */
+function requestDetails(rpcmethod, rpcargs) {
+    var positions, rv;
+
+    assert.string(rpcmethod, 'rpcmethod');
+    assert.array(rpcargs, 'rpcargs');
+
+    rv = { 'bucket': null, 'filter': null };
+    if (!rpcArgPositions.hasOwnProperty(rpcmethod)) {
+        return (rv);
+    }
+
+    positions = rpcArgPositions[rpcmethod];
+    if (typeof (rpcargs[positions.bucket]) == 'string') {
+        rv.bucket = rpcargs[positions.bucket];
+    }
+    if (positions.hasOwnProperty('filter') &&
+        typeof (rpcargs[positions.filter]) == 'string') {
+        rv.filter = rpcargs[positions.filter];
+    }
+
+    return (rv);
+}
+
 /*
  * We provide a few helper methods for making RPC calls using a FastClient:
  *
@@ -69,7 +157,18 @@ function childLogger(rpcctx, options) {
  * configured that way.  Named arguments are:
  *
  *     rpcmethod, rpcargs, log,     See FastClient.rpc() method.
- *     ignoreNullValues
+ *     ignoreNullValues, timeout
+ *
+ *                                  If the RPC does not complete within
+ *                                  "timeout" milliseconds, it fails with a
+ *                                  RequestTimeoutError (or Fast's
+ *                                  TimeoutError, if errors are unwrapped).
+ *                                  Callers generally compute this with
+ *                                  requestTimeout().
+ *
+ * If the caller aborts the RPC context (see MorayRpcContext.abort()) while the
+ * RPC is outstanding, the RPC is abandoned and fails with a
+ * RequestAbortedError.
  *
  *     rpcctx                       Moray's "rpcctx" handle, a wrapper around
  *                                  a FastClient that includes context related
@@ -95,18 +194,65 @@ function rpcCommon(args, callback) {
         'ignoreNullValues': args.ignoreNullValues,
         'log': args.log
     });
+    rpcctx.rpcStart(req, args.rpcmethod,
+        requestDetails(args.rpcmethod, args.rpcargs));
 
-    req.once('end', callback);
+    req.once('end', function () {
+        rpcctx.rpcDone(req, null);
+        callback();
+    });
     req.once('error', function (err) {
+        var timeoutErr;
+
+        rpcctx.rpcDone(req, err);
+        addrs = rpcctx.socketAddrs();
+
+        if (rpcctx.aborted()) {
+            callback(new VError({
+                'name': 'RequestAbortedError',
+                'cause': err,
+                'info': {
+                    'rpcMethod': args.rpcmethod,
+                    'local': addrs.local,
+                    'remote': addrs.remote
+                }
+            }, '%s request to "%s" aborted by caller', args.rpcmethod,
+                addrs.remote));
+            return;
+        }
+
         if (rpcctx.unwrapErrors()) {
-            err = unwrapError(err);
-        } else {
-            addrs = rpcctx.socketAddrs();
+            callback(unwrapError(err));
+            return;
+        }
+
+        timeoutErr = typeof (args.timeout) == 'number' ?
+            VError.findCauseByName(err, 'TimeoutError') : null;
+        err = new VError({
+            'cause': err,
+            'info': addrs
+        }, 'moray client ("%s" to "%s")', addrs.local, addrs.remote);
+
+        /*
+         * Timeouts are reported with a distinct error that identifies the
+         * backend that failed to respond.  The original error remains in the
+         * cause chain.  Callers using "unwrapErrors" get Fast's TimeoutError
+         * instead, as they always have.
+         */
+        if (timeoutErr !== null) {
             err = new VError({
+                'name': 'RequestTimeoutError',
                 'cause': err,
-                'info': addrs
-            }, 'moray client ("%s" to "%s")', addrs.local, addrs.remote);
+                'info': {
+                    'rpcMethod': args.rpcmethod,
+                    'timeout': args.timeout,
+                    'local': addrs.local,
+                    'remote': addrs.remote
+                }
+            }, '%s request to "%s" timed out after %d milliseconds',
+                args.rpcmethod, addrs.remote, args.timeout);
         }
+
         callback(err);
     });
 
@@ -174,6 +320,7 @@ function unwrapError(err) {
 
 module.exports = {
     childLogger: childLogger,
+    requestTimeout: requestTimeout,
     rpcCommon: rpcCommon,
     rpcCommonNoData: rpcCommonNoData,
     rpcCommonBufferData: rpcCommonBufferData
@@ -0,0 +1,404 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/scan.js: paginated scanning of all objects matching a filter.
+ *
+ * A single findObjects() request returns at most "limit" objects, and paging
+ * through a bucket using "offset" skips or duplicates objects when objects are
+ * inserted or deleted during the scan.  The scanner defined here instead uses
+ * keyset pagination: each page is a findObjects() request sorted by the
+ * "orderBy" attribute (with "_id" as a tie-breaker) whose filter only matches
+ * objects after the last object of the previous page.  Because "_id" is unique
+ * and never changes for a given object, each object that exists for the whole
+ * duration of the scan (and whose "orderBy" value doesn't change) is returned
+ * exactly once.
+ *
+ * The scanner is a Readable stream in object mode.  Only one page is requested
+ * at a time, and the next page is not requested until the consumer has read
+ * all of the objects from the previous one, so memory usage is bounded by the
+ * page size regardless of how quickly the consumer reads.
+ *
+ * If a page request fails with a retryable error (e.g., because the connection
+ * was lost), the scanner re-issues the request from the last object received
+ * after a backoff delay, so objects already received are not returned again.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+
+var mod_errors = require('./errors');
+var mod_filter = require('./filter');
+var MorayRetryPolicy = require('./retry').MorayRetryPolicy;
+
+
+///--- Globals
+
+var dflScanPageSize = 1000;
+var dflScanMaxRetries = 10;
+var dflScanRetryableErrors = [
+    mod_errors.names.FastProtocol,
+    mod_errors.names.FastTransport,
+    mod_errors.names.NoConnections,
+    mod_errors.names.RequestTimeout,
+    mod_errors.names.FastTimeout
+];
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     client       MorayClient used for findObjects() requests
+ *     (object)
+ *
+ *     bucket       name of the bucket to scan
+ *     (string)
+ *
+ *     filter       filter for the objects to return
+ *     (string)
+ *
+ *     pageSize     maximum number of objects to request at once
+ *     (number)     (default: 1000)
+ *
+ *     orderBy      attribute by which objects are returned, in ascending order.
+ *     (string)     This must be "_id" (the default), "_mtime", or an indexed
+ *                  attribute with scalar values.  Objects without a value for
+ *                  this attribute are never returned.
+ *
+ *     startAfter   optional cursor (as reported by the "progress" event)
+ *     (object)     identifying the object after which to start the scan
+ *
+ *     maxRetries   maximum number of consecutive failed requests to retry
+ *     (number)     before failing the scan (default: 10)
+ *
+ *     options      additional options for each findObjects() request (e.g.,
+ *     (object)     "timeout" or "requireIndexes")
+ *
+ * In addition to the usual Readable events, the scanner emits "progress" after
+ * each page with an object describing the scan so far:
+ *
+ *     pages        number of pages received
+ *
+ *     records      number of objects read from the scanner
+ *
+ *     resumes      number of times a failed request was re-issued
+ *
+ *     cursor       cursor identifying the last object read from the scanner,
+ *                  or null if no objects have been read.  Passing this as
+ *                  "startAfter" to a new scan resumes the scan after that
+ *                  object.
+ */
+function MorayObjectScanner(args) {
+    var self = this;
+
+    assert.object(args, 'args');
+    assert.object(args.client, 'args.client');
+    assert.string(args.bucket, 'args.bucket');
+    assert.string(args.filter, 'args.filter');
+    assert.optionalNumber(args.pageSize, 'args.pageSize');
+    assert.optionalString(args.orderBy, 'args.orderBy');
+    assert.optionalObject(args.startAfter, 'args.startAfter');
+    assert.optionalNumber(args.maxRetries, 'args.maxRetries');
+    assert.optionalObject(args.options, 'args.options');
+
+    stream.Readable.call(this, {
+        'objectMode': true,
+        'highWaterMark': 1
+    });
+
+    this.mos_client = args.client;
+    this.mos_bucket = args.bucket;
+    this.mos_filter = args.filter;
+    this.mos_pagesize = args.pageSize || dflScanPageSize;
+    this.mos_orderby = args.orderBy || '_id';
+    this.mos_options = args.options || {};
+    assert.ok(this.mos_pagesize > 0 &&
+        Math.floor(this.mos_pagesize) === this.mos_pagesize,
+        'pageSize must be a positive integer');
+    assert.ok(this.mos_options.sort === undefined &&
+        this.mos_options.limit === undefined &&
+        this.mos_options.offset === undefined,
+        'options may not specify "sort", "limit", or "offset"');
+
+    if (args.startAfter) {
+        assert.number(args.startAfter._id, 'args.startAfter._id');
+        if (this.mos_orderby != '_id') {
+            assert.ok(args.startAfter.value !== undefined,
+                'args.startAfter.value is required with orderBy');
+        }
+    }
+
+    /* retry policy for failed page requests */
+    this.mos_policy = new MorayRetryPolicy({
+        'maxAttempts': (args.maxRetries !== undefined ?
+            args.maxRetries : dflScanMaxRetries) + 1,
+        'retryableErrors': dflScanRetryableErrors
+    });
+    this.mos_backoff = this.mos_policy.createBackoff();
+    this.mos_retrying = false;  /* a retry is pending */
+    this.mos_nfailures = 0;     /* consecutive failed requests */
+
+    /* cursor after the last object received from the server */
+    this.mos_fetchcursor = args.startAfter || null;
+    /* cursor after the last object read from the scanner */
+    this.mos_cursor = args.startAfter || null;
+    /* cursors of objects pushed onto the stream, in order (see updateCursor) */
+    this.mos_unread = [];
+
+    this.mos_buffer = [];       /* objects received but not yet pushed */
+    this.mos_req = null;        /* outstanding findObjects() request */
+    this.mos_pagecount = 0;     /* objects received for current request */
+    this.mos_wanted = false;    /* consumer wants more data */
+    this.mos_done = false;      /* all objects have been received */
+    this.mos_ended = false;     /* end-of-stream has been pushed */
+    this.mos_destroyed = false; /* the scan has been stopped */
+
+    this.mos_npages = 0;
+    this.mos_nrecords = 0;
+    this.mos_nresumes = 0;
+
+    this.mos_backoff.on('ready', function onScanRetry() {
+        self.mos_retrying = false;
+        self.mos_nresumes++;
+        self.drain();
+    });
+}
+
+util.inherits(MorayObjectScanner, stream.Readable);
+
+MorayObjectScanner.prototype._read = function _read() {
+    this.mos_wanted = true;
+    this.drain();
+};
+
+MorayObjectScanner.prototype._destroy = function _destroy(err, callback) {
+    this.mos_destroyed = true;
+    this.mos_buffer = [];
+
+    if (this.mos_req !== null) {
+        this.mos_req.abort();
+        this.mos_req = null;
+    }
+
+    this.mos_backoff.reset();
+    callback(err);
+};
+
+/*
+ * Returns the cursor identifying the last object read from the scanner, or
+ * null if no objects have been read.
+ */
+MorayObjectScanner.prototype.cursor = function cursor() {
+    this.updateCursor();
+    return (this.mos_cursor === null ? null :
+        jsprim.deepCopy(this.mos_cursor));
+};
+
+/*
+ * [private] Objects pushed onto the stream sit in its buffer until the
+ * consumer reads them, so the cursor can't be advanced when they're pushed: a
+ * consumer that resumed from such a cursor would skip the objects it never
+ * read.  Instead, we record each pushed object's cursor, and whenever the
+ * cursor is needed, we advance it past the objects that have left the
+ * stream's buffer.
+ */
+MorayObjectScanner.prototype.updateCursor = function updateCursor() {
+    while (this.mos_unread.length > this.readableLength) {
+        this.mos_cursor = this.mos_unread.shift();
+        this.mos_nrecords++;
+    }
+};
+
+/*
+ * [private] Hands buffered objects to the stream for as long as the consumer
+ * wants them, and then requests the next page (or ends the stream) if
+ * everything received so far has been read.
+ */
+MorayObjectScanner.prototype.drain = function drain() {
+    var record;
+
+    if (this.mos_destroyed || this.mos_ended) {
+        return;
+    }
+
+    while (this.mos_wanted && this.mos_buffer.length > 0) {
+        record = this.mos_buffer.shift();
+        this.mos_unread.push(this.cursorFor(record));
+        this.mos_wanted = this.push(record);
+    }
+
+    if (!this.mos_wanted || this.mos_buffer.length > 0 ||
+        this.mos_req !== null || this.mos_retrying) {
+        return;
+    }
+
+    if (this.mos_done) {
+        this.mos_ended = true;
+        this.push(null);
+        return;
+    }
+
+    this.fetchPage();
+};
+
+/*
+ * [private] Returns the cursor that identifies "record".
+ */
+MorayObjectScanner.prototype.cursorFor = function cursorFor(record) {
+    var rv = { '_id': record._id };
+
+    if (this.mos_orderby == '_mtime') {
+        rv.value = record._mtime;
+    } else if (this.mos_orderby != '_id') {
+        rv.value = record.value[this.mos_orderby];
+    }
+
+    return (rv);
+};
+
+/*
+ * [private] Returns the filter for the next page, which matches the caller's
+ * filter for objects after "mos_fetchcursor".
+ */
+MorayObjectScanner.prototype.pageFilter = function pageFilter() {
+    var c = this.mos_fetchcursor;
+    var attr = this.mos_orderby;
+    var after;
+
+    if (c === null) {
+        return (attr == '_id' ? this.mos_filter :
+            mod_filter.and(this.mos_filter, mod_filter.present(attr)));
+    }
+
+    if (attr == '_id') {
+        after = mod_filter.ge('_id', c._id + 1);
+    } else {
+        /*
+         * There's no "greater than" operator, so "attr > value" is expressed
+         * as "attr >= value and not attr = value".
+         */
+        after = mod_filter.or(
+            mod_filter.and(mod_filter.ge(attr, c.value),
+                mod_filter.not(mod_filter.eq(attr, c.value))),
+            mod_filter.and(mod_filter.eq(attr, c.value),
+                mod_filter.ge('_id', c._id + 1)));
+    }
+
+    return (mod_filter.and(this.mos_filter, after));
+};
+
+/*
+ * [private] Issues the findObjects() request for the next page.
+ */
+MorayObjectScanner.prototype.fetchPage = function fetchPage() {
+    var self = this;
+    var opts, sort, req;
+
+    sort = [ { 'attribute': '_id', 'order': 'ASC' } ];
+    if (this.mos_orderby != '_id') {
+        sort.unshift({ 'attribute': this.mos_orderby, 'order': 'ASC' });
+    }
+
+    opts = jsprim.mergeObjects(this.mos_options, {
+        'limit': this.mos_pagesize,
+        'sort': sort,
+        'no_count': true
+    });
+
+    this.mos_pagecount = 0;
+    req = this.mos_client.findObjects(this.mos_bucket, this.pageFilter(),
+        opts);
+    this.mos_req = req;
+
+    req.on('record', function onScanRecord(record) {
+        if (self.mos_req !== req) {
+            return;
+        }
+
+        self.mos_pagecount++;
+        self.mos_fetchcursor = self.cursorFor(record);
+        self.mos_buffer.push(record);
+        self.drain();
+    });
+
+    req.on('end', function onScanPageEnd() {
+        if (self.mos_req !== req) {
+            return;
+        }
+
+        self.mos_req = null;
+        self.mos_nfailures = 0;
+        self.mos_backoff.reset();
+        self.mos_npages++;
+        if (self.mos_pagecount < self.mos_pagesize) {
+            self.mos_done = true;
+        }
+
+        self.emit('progress', self.progress());
+        self.drain();
+    });
+
+    req.on('error', function onScanPageError(err) {
+        if (self.mos_req !== req) {
+            return;
+        }
+
+        self.mos_req = null;
+        self.onPageError(err);
+    });
+};
+
+/*
+ * [private] Handles a failed page request by resuming after the last object
+ * received, if the error is retryable, or failing the scan otherwise.
+ */
+MorayObjectScanner.prototype.onPageError = function onPageError(err) {
+    this.mos_nfailures++;
+    if (this.mos_policy.retryableName(err) === null ||
+        this.mos_nfailures >= this.mos_policy.maxAttempts()) {
+        this.destroy(err);
+        return;
+    }
+
+    this.mos_client.log.warn({
+        'err': err,
+        'bucket': this.mos_bucket,
+        'cursor': this.mos_fetchcursor,
+        'attempt': this.mos_nfailures
+    }, 'scanObjects: request failed (will resume)');
+
+    this.mos_retrying = true;
+    this.mos_backoff.backoff(err);
+};
+
+/*
+ * [private] Returns the object reported with the "progress" event.
+ */
+MorayObjectScanner.prototype.progress = function progress() {
+    this.updateCursor();
+    return ({
+        'pages': this.mos_npages,
+        'records': this.mos_nrecords,
+        'resumes': this.mos_nresumes,
+        'cursor': this.cursor()
+    });
+};
+
+
+///--- Exports
+
+module.exports = {
+    MorayObjectScanner: MorayObjectScanner
+};
@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -37,6 +38,7 @@ function getTokens(rpcctx, options, callback) {
         'rpcctx': rpcctx,
         'rpcmethod': 'getTokens',
         'rpcargs': [ opts ],
+        'timeout': rpc.requestTimeout(rpcctx, 'getTokens', options),
         'log': log
     }, function (err, tokens) {
         if (!err && tokens.length != 1) {
@@ -0,0 +1,230 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/update_object.js: read-modify-write of a single object using optimistic
+ * concurrency control.
+ *
+ * updateObject() fetches the object, passes its value to the caller's
+ * "mutator" function, and writes back the value that the mutator returns,
+ * conditional on the object's etag not having changed in the meantime.  If
+ * another client modified the object first, the write fails with an
+ * EtagConflictError, and we start over (after a backoff delay) with the new
+ * version of the object.  Since the mutator may be invoked several times, it
+ * must not have side effects.
+ *
+ * If the object does not exist and "createIfMissing" is set, the mutator is
+ * invoked with a null value, and the write is conditional on the object still
+ * not existing (i.e., it uses an etag of null).  If another client creates the
+ * object first, we start over as for any other conflict.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+var mod_errors = require('./errors');
+var MorayRetryPolicy = require('./retry').MorayRetryPolicy;
+
+
+///--- Globals
+
+var dflUpdateMaxRetries = 10;
+var dflUpdateMinDelay = 10;     /* milliseconds */
+var dflUpdateMaxDelay = 1000;   /* milliseconds */
+
+
+///--- API
+
+/*
+ * Arguments:
+ *
+ *     client       MorayClient used for getObject() and putObject()
+ *
+ *     bucket       bucket name
+ *
+ *     key          object key
+ *
+ *     mutator      function invoked as mutator(value, object), where "value"
+ *                  is a copy of the object's current value (or null if the
+ *                  object does not exist) and "object" is the object as
+ *                  returned by getObject() (or null).  It must synchronously
+ *                  return the new value of the object.  If it throws or
+ *                  returns anything other than an object (including a
+ *                  Promise), the update fails with a MutatorError.
+ *
+ *     options      optional properties:
+ *
+ *                  maxRetries       number of times to retry after an etag
+ *                                   conflict (default: 10)
+ *
+ *                  createIfMissing  if true, create the object if it does not
+ *                                   exist rather than failing with
+ *                                   ObjectNotFoundError
+ *
+ *                  options          options for each getObject() and
+ *                                   putObject() request (e.g., "timeout" or
+ *                                   "headers").  These may not include "etag".
+ *
+ *     callback     invoked as callback(err, result) where "result" contains:
+ *
+ *                  object           the object as written, with "bucket",
+ *                                   "key", "value", and "_etag" properties
+ *
+ *                  attempts         number of times the object was written
+ *                                   (including the successful attempt)
+ *
+ * If the last attempt fails with an etag conflict, the error is an
+ * EtagConflictError whose info includes the number of "attempts".
+ */
+function updateObject(client, bucket, key, mutator, options, callback) {
+    var policy, retryBackoff, attempts, rpcopts;
+
+    assert.object(client, 'client');
+    assert.string(bucket, 'bucket');
+    assert.string(key, 'key');
+    assert.func(mutator, 'mutator');
+    assert.object(options, 'options');
+    assert.optionalNumber(options.maxRetries, 'options.maxRetries');
+    assert.optionalBool(options.createIfMissing, 'options.createIfMissing');
+    assert.optionalObject(options.options, 'options.options');
+    assert.func(callback, 'callback');
+
+    rpcopts = options.options || {};
+    assert.ok(rpcopts.etag === undefined && rpcopts._etag === undefined,
+        'options.options may not include "etag"');
+
+    policy = new MorayRetryPolicy({
+        'maxAttempts': (options.maxRetries !== undefined ?
+            options.maxRetries : dflUpdateMaxRetries) + 1,
+        'minDelay': dflUpdateMinDelay,
+        'maxDelay': dflUpdateMaxDelay,
+        'retryableErrors': [ mod_errors.names.EtagConflict ]
+    });
+    retryBackoff = policy.createBackoff();
+    retryBackoff.on('ready', doAttempt);
+    attempts = 0;
+    doAttempt();
+
+    function doAttempt() {
+        client.getObject(bucket, key, rpcopts, function (err, obj) {
+            if (err) {
+                if (!options.createIfMissing ||
+                    !mod_errors.isObjectNotFoundError(err)) {
+                    finish(err);
+                    return;
+                }
+
+                obj = null;
+            }
+
+            write(obj);
+        });
+    }
+
+    function write(obj) {
+        var value, putopts;
+
+        try {
+            value = mutator(obj === null ? null :
+                jsprim.deepCopy(obj.value), obj);
+        } catch (ex) {
+            finish(new VError({
+                'name': 'MutatorError',
+                'cause': ex,
+                'info': { 'bucket': bucket, 'key': key }
+            }, 'updateObject "%s" in bucket "%s": mutator failed', key,
+                bucket));
+            return;
+        }
+
+        /*
+         * The mutator must be synchronous.  In particular, an async function
+         * returns a Promise, which would otherwise be written as "{}".  We
+         * ignore the Promise's outcome so that a rejection isn't reported as
+         * unhandled.
+         */
+        if (typeof (value) != 'object' || value === null ||
+            typeof (value.then) == 'function') {
+            if (value !== null && typeof (value) == 'object') {
+                value.then(null, function () {});
+            }
+            finish(new VError({
+                'name': 'MutatorError',
+                'info': { 'bucket': bucket, 'key': key }
+            }, 'updateObject "%s" in bucket "%s": mutator returned %s ' +
+                '(expected an object)', key, bucket,
+                value === null ? 'null' :
+                typeof (value) == 'object' ? 'a Promise' : typeof (value)));
+            return;
+        }
+
+        attempts++;
+        putopts = jsprim.mergeObjects(rpcopts, {
+            'etag': obj === null ? null : obj._etag
+        });
+        client.putObject(bucket, key, value, putopts, function (err, res) {
+            if (err) {
+                if (policy.retryableName(err) !== null &&
+                    attempts < policy.maxAttempts()) {
+                    client.log.debug({
+                        'bucket': bucket,
+                        'key': key,
+                        'attempts': attempts
+                    }, 'updateObject: etag conflict (will retry)');
+                    retryBackoff.backoff(err);
+                    return;
+                }
+
+                if (mod_errors.isEtagConflictError(err)) {
+                    err = new VError({
+                        'name': mod_errors.names.EtagConflict,
+                        'cause': err,
+                        'info': {
+                            'bucket': bucket,
+                            'key': key,
+                            'attempts': attempts
+                        }
+                    }, 'updateObject "%s" in bucket "%s": gave up after %d ' +
+                        'attempts', key, bucket, attempts);
+                }
+
+                finish(err);
+                return;
+            }
+
+            finish(null, {
+                'object': {
+                    'bucket': bucket,
+                    'key': key,
+                    'value': value,
+                    '_etag': res.etag
+                },
+                'attempts': attempts
+            });
+        });
+    }
+
+    function finish(err, result) {
+        retryBackoff.removeAllListeners('ready');
+        if (err) {
+            callback(err);
+        } else {
+            callback(null, result);
+        }
+    }
+}
+
+
+///--- Exports
+
+module.exports = {
+    updateObject: updateObject
+};
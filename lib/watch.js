@@ -0,0 +1,414 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * lib/watch.js: a stream of changes to the objects in a bucket.
+ *
+ * The watcher repeatedly scans the bucket (using the scanner in lib/scan.js)
+ * for objects written since the last object it reported:
+ *
+ *     o In a bucket with the "trackModification" option, the server assigns
+ *       an object a new "_id" every time it's written, so objects are scanned
+ *       in order of "_id", starting after the last "_id" reported.
+ *
+ *     o In other buckets, "_id" only changes when an object is created, so
+ *       objects are scanned in order of "_mtime" (with "_id" breaking ties),
+ *       starting after the last object reported.
+ *
+ * Each change is reported with a cursor identifying it.  A consumer that
+ * persists the cursor of the last change it has processed can pass it as
+ * "since" to a new watcher to resume without missing changes.
+ *
+ * Once a scan has caught up, the watcher waits for "pollInterval" before
+ * scanning again.  If a notification "channel" is specified, the watcher also
+ * listens on it (see listen()), and any notification (e.g., sent with notify()
+ * by the writer after each change) starts the next scan immediately.  The
+ * subscription is re-issued after connection failures (see the "resubscribe"
+ * option of listen()), and since notifications may have been missed in the
+ * meantime, the watcher scans again once it has been.  If the subscription
+ * fails for another reason, the watcher continues by polling alone.
+ *
+ * This is a stream of object states, not a log of writes: an object written
+ * several times between scans is reported once, with its latest value, and
+ * deleted objects are not reported at all.  Since the server assigns "_id" and
+ * "_mtime" before a write's transaction commits, a write that commits after a
+ * later-numbered write has already been reported can be missed.  Consumers
+ * that cannot tolerate that should also periodically reconcile using
+ * scanObjects().
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+var mod_errors = require('./errors');
+
+
+///--- Globals
+
+var dflWatchPollInterval = 1000;    /* milliseconds */
+
+
+///--- API
+
+/*
+ * Named arguments:
+ *
+ *     client       MorayClient used for getBucket(), scanObjects(), and
+ *     (object)     listen() requests
+ *
+ *     bucket       name of the bucket to watch
+ *     (string)
+ *
+ *     filter       filter for the objects to report
+ *     (string)
+ *
+ *     since        optional cursor (as reported with a change) after which to
+ *     (object)     report changes.  By default, every object matching the
+ *                  filter is reported, starting with the oldest.
+ *
+ *     channel      optional notification channel on which to listen for
+ *     (string)     notifications that the bucket has changed
+ *
+ *     pollInterval time to wait (in milliseconds) after catching up before
+ *     (number)     scanning again (default: 1000)
+ *
+ *     pageSize     number of objects to request at once (see scanObjects())
+ *     (number)
+ *
+ *     options      options for each getBucket() and findObjects() request
+ *     (object)     (e.g., "timeout")
+ *
+ * The watcher is a Readable stream in object mode that never ends on its own.
+ * Each change is an object with properties "object" (the object, as emitted by
+ * findObjects()) and "cursor".  The watcher also emits "poll" after each scan
+ * that catches up, with an object with properties "polls", "changes",
+ * "notifications", and "cursor" (the cursor of the last change, or null).
+ * Transient errors (see errors.isTransient()) are logged and retried at the
+ * next poll.  Other errors destroy the stream with a WatchError.
+ */
+function MorayBucketWatcher(args) {
+    assert.object(args, 'args');
+    assert.object(args.client, 'args.client');
+    assert.string(args.bucket, 'args.bucket');
+    assert.string(args.filter, 'args.filter');
+    assert.optionalObject(args.since, 'args.since');
+    assert.optionalString(args.channel, 'args.channel');
+    assert.optionalNumber(args.pollInterval, 'args.pollInterval');
+    assert.optionalNumber(args.pageSize, 'args.pageSize');
+    assert.optionalObject(args.options, 'args.options');
+
+    if (args.since) {
+        assert.number(args.since._id, 'args.since._id');
+        assert.optionalNumber(args.since._mtime, 'args.since._mtime');
+    }
+
+    stream.Readable.call(this, {
+        'objectMode': true,
+        'highWaterMark': 1
+    });
+
+    this.mbw_client = args.client;
+    this.mbw_bucket = args.bucket;
+    this.mbw_filter = args.filter;
+    this.mbw_channel = args.channel || null;
+    this.mbw_interval = args.pollInterval || dflWatchPollInterval;
+    this.mbw_pagesize = args.pageSize;
+    this.mbw_options = args.options || {};
+
+    this.mbw_orderby = null;    /* "_id" or "_mtime", once bucket is fetched */
+    this.mbw_cursor = args.since ? jsprim.deepCopy(args.since) : null;
+
+    this.mbw_started = false;   /* the bucket has been requested */
+    this.mbw_scanner = null;    /* scan in progress */
+    this.mbw_timer = null;      /* timer for the next poll */
+    this.mbw_listener = null;   /* outstanding listen() request */
+    this.mbw_wakeup = false;    /* notified during the current scan */
+
+    this.mbw_npolls = 0;
+    this.mbw_nchanges = 0;
+    this.mbw_nnotifications = 0;
+}
+
+util.inherits(MorayBucketWatcher, stream.Readable);
+
+MorayBucketWatcher.prototype._read = function _read() {
+    if (!this.mbw_started) {
+        this.mbw_started = true;
+        this.start();
+    } else if (this.mbw_scanner !== null) {
+        this.mbw_scanner.resume();
+    }
+};
+
+MorayBucketWatcher.prototype._destroy = function _destroy(err, callback) {
+    var listener = this.mbw_listener;
+
+    if (this.mbw_scanner !== null) {
+        this.mbw_scanner.destroy();
+        this.mbw_scanner = null;
+    }
+
+    if (this.mbw_timer !== null) {
+        clearTimeout(this.mbw_timer);
+        this.mbw_timer = null;
+    }
+
+    if (listener !== null) {
+        this.mbw_listener = null;
+        listener.removeAllListeners('data');
+        listener.unlisten(function () {});
+    }
+
+    callback(err);
+};
+
+/*
+ * Returns the cursor of the last change reported, or null if none has been.
+ */
+MorayBucketWatcher.prototype.cursor = function cursor() {
+    return (this.mbw_cursor === null ? null :
+        jsprim.deepCopy(this.mbw_cursor));
+};
+
+/*
+ * [private] Fetches the bucket's configuration to decide how to scan it, and
+ * then starts listening and scanning.
+ */
+MorayBucketWatcher.prototype.start = function start() {
+    var self = this;
+
+    this.mbw_client.getBucket(this.mbw_bucket, this.mbw_options,
+        function (err, bucket) {
+        if (self.destroyed) {
+            return;
+        }
+
+        if (err) {
+            if (self.retryable(err, 'getBucket')) {
+                self.mbw_timer = setTimeout(function () {
+                    self.mbw_timer = null;
+                    self.start();
+                }, self.mbw_interval);
+            }
+            return;
+        }
+
+        self.mbw_orderby = bucket.options.trackModification ?
+            '_id' : '_mtime';
+        if (self.mbw_cursor !== null && self.mbw_orderby == '_mtime' &&
+            self.mbw_cursor._mtime === undefined) {
+            self.destroy(new VError({
+                'name': 'WatchError',
+                'info': {
+                    'bucket': self.mbw_bucket,
+                    'cursor': self.mbw_cursor
+                }
+            }, 'watch bucket "%s": cursor has no "_mtime", but bucket ' +
+                'does not have "trackModification"', self.mbw_bucket));
+            return;
+        }
+
+        self.listen();
+        self.poll();
+    });
+};
+
+/*
+ * [private] Starts listening for notifications, if a channel was specified.
+ */
+MorayBucketWatcher.prototype.listen = function listen() {
+    var self = this;
+    var listener;
+
+    if (this.mbw_channel === null) {
+        return;
+    }
+
+    listener = this.mbw_client.listen(this.mbw_channel,
+        jsprim.mergeObjects(this.mbw_options, { 'resubscribe': true }));
+    this.mbw_listener = listener;
+
+    listener.on('data', function onWatchNotification() {
+        self.mbw_nnotifications++;
+        self.wakeup();
+    });
+
+    listener.on('reconnected', function onWatchListenReconnected() {
+        self.wakeup();
+    });
+
+    listener.on('error', function onWatchListenError(err) {
+        if (self.mbw_listener !== listener) {
+            return;
+        }
+
+        self.mbw_listener = null;
+        self.mbw_client.log.warn({
+            'err': err,
+            'bucket': self.mbw_bucket,
+            'channel': self.mbw_channel
+        }, 'watchBucket: listen failed (continuing by polling)');
+    });
+
+    listener.on('end', function onWatchListenEnd() {
+        if (self.mbw_listener === listener) {
+            self.mbw_listener = null;
+        }
+    });
+};
+
+/*
+ * [private] Scans for objects changed since the last change reported.
+ */
+MorayBucketWatcher.prototype.poll = function poll() {
+    var self = this;
+    var scanner;
+
+    this.mbw_wakeup = false;
+    scanner = this.mbw_client.scanObjects(this.mbw_bucket, this.mbw_filter, {
+        'pageSize': this.mbw_pagesize,
+        'orderBy': this.mbw_orderby,
+        'startAfter': this.startAfter(),
+        'options': this.mbw_options
+    });
+    this.mbw_scanner = scanner;
+
+    scanner.on('data', function onWatchRecord(record) {
+        var c = { '_id': record._id };
+
+        if (self.mbw_orderby == '_mtime') {
+            c._mtime = record._mtime;
+        }
+
+        self.mbw_cursor = c;
+        self.mbw_nchanges++;
+        if (!self.push({
+            'object': record,
+            'cursor': jsprim.deepCopy(c)
+        })) {
+            scanner.pause();
+        }
+    });
+
+    scanner.on('end', function onWatchScanEnd() {
+        if (self.mbw_scanner !== scanner) {
+            return;
+        }
+
+        self.mbw_scanner = null;
+        self.mbw_npolls++;
+        self.emit('poll', {
+            'polls': self.mbw_npolls,
+            'changes': self.mbw_nchanges,
+            'notifications': self.mbw_nnotifications,
+            'cursor': self.cursor()
+        });
+        self.schedule();
+    });
+
+    scanner.on('error', function onWatchScanError(err) {
+        if (self.mbw_scanner !== scanner) {
+            return;
+        }
+
+        self.mbw_scanner = null;
+        if (self.retryable(err, 'scan')) {
+            self.schedule();
+        }
+    });
+};
+
+/*
+ * [private] Schedules the next scan: immediately if a notification arrived
+ * during the last one, or after the poll interval.
+ */
+MorayBucketWatcher.prototype.schedule = function schedule() {
+    var self = this;
+
+    if (this.destroyed) {
+        return;
+    }
+
+    this.mbw_timer = setTimeout(function () {
+        self.mbw_timer = null;
+        self.poll();
+    }, this.mbw_wakeup ? 0 : this.mbw_interval);
+};
+
+/*
+ * [private] Starts the next scan now, or as soon as the current one finishes.
+ */
+MorayBucketWatcher.prototype.wakeup = function wakeup() {
+    if (this.mbw_scanner !== null || this.mbw_orderby === null) {
+        this.mbw_wakeup = true;
+        return;
+    }
+
+    if (this.mbw_timer !== null) {
+        clearTimeout(this.mbw_timer);
+        this.mbw_timer = null;
+        this.poll();
+    }
+};
+
+/*
+ * [private] Returns the scanner's "startAfter" cursor for the last change
+ * reported.
+ */
+MorayBucketWatcher.prototype.startAfter = function startAfter() {
+    var c = this.mbw_cursor;
+
+    if (c === null) {
+        return (undefined);
+    }
+
+    if (this.mbw_orderby == '_mtime') {
+        return ({ '_id': c._id, 'value': c._mtime });
+    }
+
+    return ({ '_id': c._id });
+};
+
+/*
+ * [private] If "err" is transient, logs it and returns true so that the
+ * operation is retried at the next poll.  Otherwise, destroys the stream and
+ * returns false.
+ */
+MorayBucketWatcher.prototype.retryable = function retryable(err, what) {
+    if (mod_errors.isTransient(err)) {
+        this.mbw_client.log.warn({
+            'err': err,
+            'bucket': this.mbw_bucket,
+            'cursor': this.mbw_cursor
+        }, 'watchBucket: %s failed (will retry)', what);
+        return (true);
+    }
+
+    this.destroy(new VError({
+        'name': 'WatchError',
+        'cause': err,
+        'info': {
+            'bucket': this.mbw_bucket,
+            'cursor': this.mbw_cursor
+        }
+    }, 'watch bucket "%s"', this.mbw_bucket));
+    return (false);
+};
+
+
+///--- Exports
+
+module.exports = {
+    MorayBucketWatcher: MorayBucketWatcher
+};